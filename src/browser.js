@@ -6,16 +6,418 @@
 (function (global) {
     'use strict';
 
+    // ============ CODECS ============
+    // Same as src/codecs.js: { name, binary, encode(message), decode(data) },
+    // offered as 'emit.<name>' subprotocols
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    function toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        throw new TypeError('Cannot decode frame of type ' + typeof data);
+    }
+
+    const json = {
+        name: 'json',
+        binary: false,
+        encode: (message) => JSON.stringify(message),
+        decode: (data) => JSON.parse(typeof data === 'string' ? data : textDecoder.decode(toBytes(data)))
+    };
+
+    // ============ MESSAGEPACK ============
+
+    class Writer {
+        constructor() {
+            this.bytes = new Uint8Array(256);
+            this.view = new DataView(this.bytes.buffer);
+            this.pos = 0;
+        }
+
+        ensure(size) {
+            if (this.pos + size <= this.bytes.length) return;
+
+            let length = this.bytes.length * 2;
+            while (length < this.pos + size) length *= 2;
+
+            const bytes = new Uint8Array(length);
+            bytes.set(this.bytes);
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer);
+        }
+
+        u8(value) {
+            this.ensure(1);
+            this.view.setUint8(this.pos, value);
+            this.pos += 1;
+        }
+
+        u16(value) {
+            this.ensure(2);
+            this.view.setUint16(this.pos, value);
+            this.pos += 2;
+        }
+
+        u32(value) {
+            this.ensure(4);
+            this.view.setUint32(this.pos, value);
+            this.pos += 4;
+        }
+
+        raw(bytes) {
+            this.ensure(bytes.length);
+            this.bytes.set(bytes, this.pos);
+            this.pos += bytes.length;
+        }
+
+        // Type byte followed by an 8, 16 or 32-bit length
+        header(length, small, medium, large) {
+            if (length < 0x100 && small !== null) {
+                this.u8(small);
+                this.u8(length);
+            } else if (length < 0x10000) {
+                this.u8(medium);
+                this.u16(length);
+            } else {
+                this.u8(large);
+                this.u32(length);
+            }
+        }
+
+        result() {
+            return this.bytes.slice(0, this.pos);
+        }
+    }
+
+    function writeNumber(w, value) {
+        if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+            if (value < 0x80) {
+                w.u8(value);
+            } else if (value < 0x100) {
+                w.u8(0xcc);
+                w.u8(value);
+            } else if (value < 0x10000) {
+                w.u8(0xcd);
+                w.u16(value);
+            } else {
+                w.u8(0xce);
+                w.u32(value);
+            }
+        } else if (Number.isInteger(value) && value < 0 && value >= -0x80000000) {
+            w.ensure(5);
+            if (value >= -32) {
+                w.view.setInt8(w.pos, value);
+                w.pos += 1;
+            } else if (value >= -0x80) {
+                w.u8(0xd0);
+                w.view.setInt8(w.pos, value);
+                w.pos += 1;
+            } else if (value >= -0x8000) {
+                w.u8(0xd1);
+                w.view.setInt16(w.pos, value);
+                w.pos += 2;
+            } else {
+                w.u8(0xd2);
+                w.view.setInt32(w.pos, value);
+                w.pos += 4;
+            }
+        } else {
+            w.u8(0xcb);
+            w.ensure(8);
+            w.view.setFloat64(w.pos, value);
+            w.pos += 8;
+        }
+    }
+
+    function write(w, value) {
+        if (value === null || value === undefined) {
+            w.u8(0xc0);
+        } else if (value === false) {
+            w.u8(0xc2);
+        } else if (value === true) {
+            w.u8(0xc3);
+        } else if (typeof value === 'number') {
+            writeNumber(w, value);
+        } else if (typeof value === 'bigint') {
+            w.u8(value < 0 ? 0xd3 : 0xcf);
+            w.ensure(8);
+            if (value < 0) w.view.setBigInt64(w.pos, value);
+            else w.view.setBigUint64(w.pos, value);
+            w.pos += 8;
+        } else if (typeof value === 'string') {
+            const bytes = textEncoder.encode(value);
+            if (bytes.length < 32) {
+                w.u8(0xa0 | bytes.length);
+            } else {
+                w.header(bytes.length, 0xd9, 0xda, 0xdb);
+            }
+            w.raw(bytes);
+        } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            const bytes = toBytes(value);
+            w.header(bytes.length, 0xc4, 0xc5, 0xc6);
+            w.raw(bytes);
+        } else if (Array.isArray(value)) {
+            if (value.length < 16) {
+                w.u8(0x90 | value.length);
+            } else {
+                w.header(value.length, null, 0xdc, 0xdd);
+            }
+            value.forEach(item => write(w, item));
+        } else if (typeof value.toJSON === 'function') {
+            // Same as JSON.stringify, e.g. Date -> ISO string
+            write(w, value.toJSON());
+        } else if (typeof value === 'object') {
+            const keys = Object.keys(value).filter(key =>
+                value[key] !== undefined && typeof value[key] !== 'function');
+
+            if (keys.length < 16) {
+                w.u8(0x80 | keys.length);
+            } else {
+                w.header(keys.length, null, 0xde, 0xdf);
+            }
+            keys.forEach(key => {
+                write(w, key);
+                write(w, value[key]);
+            });
+        } else {
+            // Functions and symbols, like JSON
+            w.u8(0xc0);
+        }
+    }
+
+    function read(r) {
+        const type = r.bytes[r.pos++];
+        const view = r.view;
+
+        const take = (size) => {
+            const pos = r.pos;
+            r.pos += size;
+            return pos;
+        };
+        const str = (length) => textDecoder.decode(r.bytes.subarray(take(length), r.pos));
+        const bin = (length) => r.bytes.slice(take(length), r.pos);
+        const array = (length) => {
+            const result = new Array(length);
+            for (let i = 0; i < length; i++) result[i] = read(r);
+            return result;
+        };
+        const map = (length) => {
+            const result = {};
+            for (let i = 0; i < length; i++) {
+                const key = read(r);
+                // Own property even for '__proto__', which would otherwise replace the prototype
+                Object.defineProperty(result, key, { value: read(r), enumerable: true, writable: true, configurable: true });
+            }
+            return result;
+        };
+
+        if (type === undefined) throw new RangeError('Unexpected end of MessagePack data');
+        if (type < 0x80) return type;
+        if (type < 0x90) return map(type & 0x0f);
+        if (type < 0xa0) return array(type & 0x0f);
+        if (type < 0xc0) return str(type & 0x1f);
+        if (type >= 0xe0) return type - 0x100;
+
+        switch (type) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return bin(view.getUint8(take(1)));
+            case 0xc5: return bin(view.getUint16(take(2)));
+            case 0xc6: return bin(view.getUint32(take(4)));
+            case 0xca: return view.getFloat32(take(4));
+            case 0xcb: return view.getFloat64(take(8));
+            case 0xcc: return view.getUint8(take(1));
+            case 0xcd: return view.getUint16(take(2));
+            case 0xce: return view.getUint32(take(4));
+            case 0xcf: return Number(view.getBigUint64(take(8)));
+            case 0xd0: return view.getInt8(take(1));
+            case 0xd1: return view.getInt16(take(2));
+            case 0xd2: return view.getInt32(take(4));
+            case 0xd3: return Number(view.getBigInt64(take(8)));
+            case 0xd9: return str(view.getUint8(take(1)));
+            case 0xda: return str(view.getUint16(take(2)));
+            case 0xdb: return str(view.getUint32(take(4)));
+            case 0xdc: return array(view.getUint16(take(2)));
+            case 0xdd: return array(view.getUint32(take(4)));
+            case 0xde: return map(view.getUint16(take(2)));
+            case 0xdf: return map(view.getUint32(take(4)));
+            default: throw new TypeError(`Unsupported MessagePack type: 0x${type.toString(16)}`);
+        }
+    }
+
+    const msgpack = {
+        name: 'msgpack',
+        binary: true,
+        encode(message) {
+            const w = new Writer();
+            write(w, message);
+            return w.result();
+        },
+        decode(data) {
+            if (typeof data === 'string') throw new TypeError('MessagePack frames must be binary');
+            const bytes = toBytes(data);
+            return read({ bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), pos: 0 });
+        }
+    };
+
+    // ============ NEGOTIATION ============
+
+    const builtin = { json, msgpack };
+
+    /**
+     * Resolve codec names or objects into a list of codecs
+     */
+    function resolveCodecs(codecs) {
+        const list = Array.isArray(codecs) ? codecs : [codecs];
+        return list.map(codec => {
+            if (typeof codec !== 'string') return codec;
+            if (!builtin[codec]) throw new Error(`Unknown codec: ${codec}`);
+            return builtin[codec];
+        });
+    }
+
+    function codecProtocol(codec) {
+        return 'emit.' + codec.name;
+    }
+
+    /**
+     * Pick a codec by negotiated subprotocol, JSON when there is none
+     */
+    function codecForProtocol(codecs, protocol) {
+        return codecs.find(codec => codecProtocol(codec) === protocol) || json;
+    }
+
+    // Subprotocols to offer; plain JSON offers none so any server accepts it
+    function offeredProtocols(codecs) {
+        if (codecs.length === 1 && codecs[0] === json) return undefined;
+        return codecs.map(codecProtocol);
+    }
+
+    // ============ PROTOCOL ============
+    // Same as src/protocol.js: hello/welcome handshake
+
+    const PROTOCOL_VERSION = 1;
+    const MIN_PROTOCOL_VERSION = 1;
+    const FEATURES = ['resume', 'streaming', 'cancel', 'heartbeat'];
+
+    const CLOSE_CODES = {
+        GOING_AWAY: 1001,
+        HANDSHAKE_FAILED: 4400,
+        TOKEN_EXPIRED: 4401,
+        KICKED: 4403,
+        HANDSHAKE_TIMEOUT: 4408,
+        UNSUPPORTED_CODEC: 4415,
+        SLOW_CONSUMER: 4413,
+        RATE_LIMITED: 4429,
+        UNSUPPORTED_VERSION: 4426
+    };
+
+    const CLOSE_REASONS = Object.fromEntries(
+        Object.entries(CLOSE_CODES).map(([name, code]) => [code, name])
+    );
+
+    const TERMINAL_CODES = [
+        1000,
+        1008,
+        CLOSE_CODES.HANDSHAKE_FAILED,
+        CLOSE_CODES.TOKEN_EXPIRED,
+        CLOSE_CODES.KICKED,
+        CLOSE_CODES.UNSUPPORTED_CODEC,
+        CLOSE_CODES.RATE_LIMITED,
+        CLOSE_CODES.UNSUPPORTED_VERSION
+    ];
+
+    // Handshake failures that a reconnect would run into again
+    const MISMATCH_CODES = [CLOSE_CODES.UNSUPPORTED_CODEC, CLOSE_CODES.UNSUPPORTED_VERSION];
+
+    /**
+     * Typed error for ack error frames: { type: 'ack', ackId, error: { code, message, details } }
+     */
+    class EmitError extends Error {
+        constructor(code, message, details) {
+            super(message || code);
+            this.name = 'EmitError';
+            this.code = code;
+            if (details !== undefined) this.details = details;
+        }
+
+        static from(error) {
+            if (error instanceof EmitError) return error;
+            if (typeof error === 'string') return new EmitError('ERROR', error);
+            return new EmitError(error.code || 'ERROR', error.message, error.details);
+        }
+    }
+
+    /**
+     * Normalize the queue option: true -> defaults, falsy -> disabled
+     */
+    function queueOptions(queue) {
+        if (!queue) return null;
+        return {
+            maxSize: 100,     // Max queued frames, oldest dropped first
+            maxAge: 30000,    // Drop frames queued longer than this (ms)
+            resend: false,    // Default policy for in-flight requests on disconnect
+            ...(queue === true ? {} : queue)
+        };
+    }
+
+    /**
+     * Normalize the heartbeat option: true -> defaults, falsy -> disabled
+     */
+    function heartbeatOptions(heartbeat) {
+        if (!heartbeat) return null;
+        return {
+            interval: 25000,  // How often to ping the server (ms)
+            timeout: 10000,   // Missing pong after this long means the server is gone (ms)
+            ...(heartbeat === true ? {} : heartbeat)
+        };
+    }
+
     class Client {
         constructor(ws, options = {}) {
             this.ws = ws;
             this.url = ws.url;
             this.options = options;
+            this.codecs = resolveCodecs(options.codec || 'json');
+            this.codec = null; // Negotiated per connection in _setupListeners
             this.listeners = new Map();
+            this.handlers = new Map(); // event -> handler for server-initiated requests
             this.pendingRequests = new Map();
+            this.inflight = new Map(); // ackId -> AbortController for server-initiated requests
+            this.streams = new Map(); // ackId -> state of an open stream()
             this.data = {};
             this.reconnectAttempts = 0;
 
+            // Set by the server's welcome frame
+            this.id = null;
+            this.version = null;
+            this.features = [];
+            this.compression = null;
+            this._handshaking = false;
+            this._handshakeTimer = null;
+            this._handshakeError = null; // Why the current handshake failed
+            this._onWelcome = null;      // Settles Client.connect
+            this._closing = false;       // We closed the current connection
+            this._reconnectIn = null;    // Delay suggested by the server's goaway
+
+            // Session recovery
+            this.session = null;
+            this.lastSeq = 0;
+
+            // Outbound queue for emits and requests made while reconnecting
+            this.queueOptions = queueOptions(options.queue);
+            this.queue = [];
+
+            // Client-side liveness: ping the server, reconnect when it stops answering
+            this.heartbeatOptions = heartbeatOptions(options.heartbeat);
+            this.latency = null; // Last measured round-trip time (ms)
+            this._heartbeatTimer = null;
+            this._pongTimer = null;
+            this._pingSentAt = null;
+
             this._setupListeners();
         }
 
@@ -23,17 +425,22 @@
             return new Promise((resolve, reject) => {
                 const timeout = options.connectTimeout || 10000;
 
+                const ws = new WebSocket(url, offeredProtocols(resolveCodecs(options.codec || 'json')));
+
                 const timer = setTimeout(() => {
                     reject(new Error('Connection timeout'));
+                    ws.close();
                 }, timeout);
 
-                const ws = new WebSocket(url);
-
+                // Resolve once the handshake is done, not when the socket opens
                 ws.onopen = () => {
-                    clearTimeout(timer);
-                    const client = new EmitClient(ws, { ...options, url });
-                    client._callListeners('@connection', {});
-                    resolve(client);
+                    const client = new Client(ws, { ...options, url });
+                    client._onWelcome = (err) => {
+                        clearTimeout(timer);
+                        if (err) return reject(err);
+                        client._callListeners('@connection', {});
+                        resolve(client);
+                    };
                 };
 
                 ws.onerror = (err) => {
@@ -44,34 +451,184 @@
         }
 
         _setupListeners() {
+            this.ws.binaryType = 'arraybuffer';
+            this.codec = codecForProtocol(this.codecs, this.ws.protocol);
+
             this.ws.onmessage = (event) => {
                 try {
-                    const message = JSON.parse(event.data);
+                    const message = this.codec.decode(event.data);
                     this._handleMessage(message);
                 } catch (err) {
                     // Ignore malformed messages
                 }
             };
 
-            this.ws.onclose = () => {
-                this._callListeners('@disconnect', {});
-
-                if (this.options.reconnect) {
-                    this._attemptReconnect();
-                }
-            };
+            this.ws.onclose = (event) => this._handleClose(event.code, event.reason);
 
             this.ws.onerror = (err) => {
                 this._callListeners('@error', { error: err.message || 'Connection error' });
             };
+
+            this._closing = false;
+            this._startHeartbeat();
+            this._sendHello();
+        }
+
+        // Open the handshake; nothing else is sent until the welcome arrives
+        _sendHello() {
+            this._handshaking = true;
+            this._handshakeError = null;
+
+            if (!this.codecs.includes(this.codec)) {
+                const names = this.codecs.map(codec => codec.name).join(', ');
+                this._handshakeFailed(CLOSE_CODES.UNSUPPORTED_CODEC, `Server accepts none of the codecs: ${names}`);
+                return;
+            }
+
+            this._handshakeTimer = setTimeout(() => {
+                this._handshakeFailed(CLOSE_CODES.HANDSHAKE_TIMEOUT, 'Handshake timeout');
+            }, this.options.connectTimeout || 10000);
+
+            this._send({
+                type: 'hello',
+                version: PROTOCOL_VERSION,
+                minVersion: MIN_PROTOCOL_VERSION,
+                codecs: this.codecs.map(codec => codec.name),
+                compression: ['permessage-deflate'],
+                features: FEATURES,
+                session: this.session || undefined,
+                seq: this.session ? this.lastSeq : undefined
+            });
+        }
+
+        _handleWelcome(message) {
+            clearTimeout(this._handshakeTimer);
+            this._handshakeError = null;
+
+            if (!(message.version >= MIN_PROTOCOL_VERSION && message.version <= PROTOCOL_VERSION)) {
+                this._handshakeFailed(CLOSE_CODES.UNSUPPORTED_VERSION,
+                    `Unsupported protocol version ${message.version}, client speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`);
+                return;
+            }
+
+            this._handshaking = false;
+            this.id = message.id;
+            this.version = message.version;
+            this.features = message.features || [];
+            this.compression = message.compression || null;
+            this.session = message.session || null;
+            if (message.recovered !== true) {
+                // New session, sequence numbers start over
+                this.lastSeq = 0;
+            }
+
+            if (this._onWelcome) {
+                this._settleConnect(null);
+            } else {
+                // Replayed events have arrived by now, so @reconnect fires after them
+                this._reconnected({ recovered: message.recovered === true });
+            }
+        }
+
+        // Report a failed handshake and close with the matching code
+        _handshakeFailed(code, reason) {
+            if (this._handshakeError) return;
+
+            clearTimeout(this._handshakeTimer);
+            this._handshakeError = new EmitError(CLOSE_REASONS[code], reason, { closeCode: code });
+            this._callListeners('@error', { error: reason, code: CLOSE_REASONS[code], closeCode: code });
+
+            if (this.ws.readyState === WebSocket.OPEN) {
+                this._closing = true;
+                this.ws.close(code, reason);
+            }
+        }
+
+        _settleConnect(err) {
+            const onWelcome = this._onWelcome;
+            this._onWelcome = null;
+            onWelcome(err);
+        }
+
+        // Encode with the codec negotiated for this connection
+        _send(message) {
+            this.ws.send(this.codec.encode(message));
+        }
+
+        _handleClose(code, reason) {
+            // 1006: dropped without a close frame
+            const initiatedBy = this._closing ? 'client' : code === 1006 ? 'network' : 'server';
+            this._closing = false;
+
+            const handshaking = this._handshaking;
+            this._handshaking = false;
+            clearTimeout(this._handshakeTimer);
+            this._stopHeartbeat();
+
+            // The server rejected the hello; going away just means try again
+            if (handshaking && CLOSE_REASONS[code] && code !== CLOSE_CODES.GOING_AWAY) {
+                this._handshakeFailed(code, reason || CLOSE_REASONS[code]);
+            }
+
+            // Client.connect is still waiting, there is nothing else to clean up
+            if (this._onWelcome) {
+                this._settleConnect(this._handshakeError ||
+                    new EmitError('HANDSHAKE_FAILED', 'Connection closed during handshake'));
+                return;
+            }
+
+            // Replies to server-initiated requests can't be delivered anymore
+            this.inflight.forEach(controller => controller.abort());
+            this.inflight.clear();
+
+            // Open streams end with the connection
+            this.streams.forEach(state => state.finish(new EmitError('DISCONNECTED', 'Disconnected during stream')));
+
+            this._callListeners('@disconnect', { code, reason, initiatedBy });
+
+            if (this._shouldQueue()) {
+                this._requeueInFlight();
+            }
+
+            // Reconnecting would hit the same mismatch; timeouts and the like are retried
+            if (this._handshakeError && MISMATCH_CODES.includes(this._handshakeError.details.closeCode)) {
+                this._clearQueue(this._handshakeError.code, this._handshakeError.message);
+                return;
+            }
+
+            // Kicked, auth failed and the like: the server doesn't want us back
+            if (initiatedBy === 'server' && TERMINAL_CODES.includes(code)) {
+                this._clearQueue('DISCONNECTED', reason || `Disconnected by server (${code})`);
+                return;
+            }
+
+            if (this.options.reconnect) {
+                this._attemptReconnect();
+            }
+        }
+
+        // No pong in time: a dead connection may never fire onclose, so detach and handle it now
+        _handleDead() {
+            const ws = this.ws;
+            ws.onmessage = null;
+            ws.onclose = null;
+            ws.onerror = null;
+            ws.close();
+
+            this._callListeners('@error', { error: 'Heartbeat timeout' });
+            this._closing = true;
+            this._handleClose(1006, 'Heartbeat timeout');
         }
 
         _attemptReconnect() {
             const maxRetries = this.options.maxRetries || 10;
-            const delay = this.options.reconnectDelay || 1000;
+            // The server's goaway may suggest a delay
+            const delay = this._reconnectIn ?? (this.options.reconnectDelay || 1000);
+            this._reconnectIn = null;
 
             if (this.reconnectAttempts >= maxRetries) {
                 this._callListeners('@error', { error: 'Max reconnect attempts reached' });
+                this._clearQueue('DISCONNECTED', 'Max reconnect attempts reached');
                 return;
             }
 
@@ -79,15 +636,17 @@
 
             setTimeout(() => {
                 try {
-                    const ws = new WebSocket(this.options.url);
+                    const ws = new WebSocket(this.options.url, offeredProtocols(this.codecs));
 
+                    // The hello carries the resume token; the welcome fires @reconnect
                     ws.onopen = () => {
                         this.ws = ws;
                         this.reconnectAttempts = 0;
                         this._setupListeners();
-                        this._callListeners('@reconnect', {});
                     };
 
+                    // Browsers hide the HTTP status of a rejected upgrade, so a 401
+                    // can't be told apart from an outage here and is retried
                     ws.onerror = () => {
                         this._attemptReconnect();
                     };
@@ -98,19 +657,240 @@
         }
 
         _handleMessage(message) {
+            if (message.type === 'ping') {
+                this._send({ type: 'pong', t: message.t });
+                return;
+            }
+
+            if (message.type === 'pong') {
+                this._handlePong();
+                return;
+            }
+
+            if (message.type === 'welcome') {
+                this._handleWelcome(message);
+                return;
+            }
+
+            // The server is shutting down and will close once in-flight work is done
+            if (message.type === 'goaway') {
+                this._reconnectIn = Number(message.reconnectIn) || 0;
+                this._callListeners('@goaway', { reason: message.reason, reconnectIn: this._reconnectIn });
+                return;
+            }
+
+            if (message.seq) {
+                // Already seen (e.g. replayed twice)
+                if (message.seq <= this.lastSeq) return;
+                this.lastSeq = message.seq;
+            }
+
+            if (message.type === 'cancel') {
+                const controller = this.inflight.get(message.ackId);
+                if (controller) {
+                    this.inflight.delete(message.ackId);
+                    controller.abort();
+                }
+                return;
+            }
+
+            if (message.type === 'chunk' || message.type === 'end' ||
+                (message.type === 'ack' && this.streams.has(message.ackId))) {
+                this._handleStreamFrame(message);
+                return;
+            }
+
             if (message.type === 'ack') {
                 const pending = this.pendingRequests.get(message.ackId);
                 if (pending) {
                     clearTimeout(pending.timer);
-                    pending.resolve(message.data);
+                    if (message.error) {
+                        pending.reject(EmitError.from(message.error));
+                    } else {
+                        pending.resolve(message.data);
+                    }
                     this.pendingRequests.delete(message.ackId);
                 }
                 return;
             }
 
-            const { event, data } = message;
+            const { event, data, ackId } = message;
             this._callListeners('@any', { event, data });
             this._callListeners(event, data);
+
+            if (ackId) {
+                this._handleRequest(event, data, ackId);
+            }
+        }
+
+        // Answer a server-initiated request with an ack frame
+        _handleRequest(event, data, ackId) {
+            const controller = new AbortController();
+            this.inflight.set(ackId, controller);
+
+            const send = (frame) => {
+                this.inflight.delete(ackId);
+                if (!controller.signal.aborted && this.ws.readyState === WebSocket.OPEN) {
+                    this._send({ type: 'ack', ackId, ...frame });
+                }
+            };
+
+            const fail = (err) => {
+                if (err instanceof EmitError) {
+                    send({ error: { code: err.code, message: err.message, details: err.details } });
+                } else {
+                    send({ error: { code: 'INTERNAL_ERROR', message: (err && err.message) || 'Internal error' } });
+                }
+            };
+
+            const handler = this.handlers.get(event);
+            if (!handler) {
+                send({ error: { code: 'NO_HANDLER', message: `No handler for: ${event}` } });
+                return;
+            }
+
+            try {
+                Promise.resolve(handler(data, { signal: controller.signal })).then(result => send({ data: result }), fail);
+            } catch (err) {
+                fail(err);
+            }
+        }
+
+        _handleStreamFrame(message) {
+            const state = this.streams.get(message.ackId);
+            if (!state) return;
+
+            if (message.type === 'chunk') {
+                state.push(message.data);
+            } else if (message.error) {
+                state.finish(EmitError.from(message.error));
+            } else {
+                // A plain reply to a stream request is a single chunk
+                if (message.type === 'ack') state.push(message.data);
+                state.finish(null);
+            }
+        }
+
+        _startHeartbeat() {
+            this._stopHeartbeat();
+            if (!this.heartbeatOptions) return;
+
+            const { interval, timeout } = this.heartbeatOptions;
+
+            this._heartbeatTimer = setInterval(() => {
+                if (this._pongTimer || !this._canSend()) return;
+
+                this._pingSentAt = Date.now();
+                this._send({ type: 'ping', t: this._pingSentAt });
+                this._pongTimer = setTimeout(() => this._handleDead(), timeout);
+            }, interval);
+        }
+
+        _stopHeartbeat() {
+            clearInterval(this._heartbeatTimer);
+            clearTimeout(this._pongTimer);
+            this._heartbeatTimer = null;
+            this._pongTimer = null;
+        }
+
+        _handlePong() {
+            clearTimeout(this._pongTimer);
+            this._pongTimer = null;
+            if (this._pingSentAt) {
+                this.latency = Date.now() - this._pingSentAt;
+                this._pingSentAt = null;
+            }
+        }
+
+        _reconnected(data) {
+            this._flushQueue();
+            this._callListeners('@reconnect', data);
+        }
+
+        // Frames can go out directly: socket open and handshake done
+        _canSend() {
+            return this.ws.readyState === WebSocket.OPEN && !this._handshaking;
+        }
+
+        // After a goaway new work waits for the next server, if it can be queued
+        _shouldHold() {
+            return this._reconnectIn !== null && this._shouldQueue();
+        }
+
+        // Frames wait in the queue when it is enabled and a reconnect is coming
+        _shouldQueue() {
+            return Boolean(this.queueOptions) && Boolean(this.options.reconnect);
+        }
+
+        _enqueue(frame, ackId) {
+            if (ackId) this.pendingRequests.get(ackId).queued = true;
+            this.queue.push({ frame, ackId, at: Date.now() });
+            this._trimQueue();
+        }
+
+        _trimQueue() {
+            while (this.queue.length > this.queueOptions.maxSize) {
+                this._dropQueued(this.queue.shift(), 'QUEUE_FULL', 'Outbound queue full');
+            }
+        }
+
+        _dropQueued(item, code, message) {
+            if (!item.ackId) return;
+
+            const pending = this.pendingRequests.get(item.ackId);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this.pendingRequests.delete(item.ackId);
+                pending.reject(new EmitError(code, `${message}: ${item.frame.event}`));
+            }
+        }
+
+        // Send queued frames in order, dropping those past maxAge
+        _flushQueue() {
+            const queue = this.queue;
+            const cutoff = this.queueOptions ? Date.now() - this.queueOptions.maxAge : -Infinity;
+            this.queue = [];
+
+            queue.forEach(item => {
+                const pending = item.ackId && this.pendingRequests.get(item.ackId);
+                if (item.ackId && !pending) return; // Timed out while queued
+
+                if (item.at < cutoff) {
+                    this._dropQueued(item, 'QUEUE_EXPIRED', 'Queued too long');
+                    return;
+                }
+
+                if (pending) pending.queued = false;
+                this._send(item.frame);
+            });
+        }
+
+        _clearQueue(code, message) {
+            const queue = this.queue;
+            this.queue = [];
+            queue.forEach(item => this._dropQueued(item, code, message));
+        }
+
+        // In-flight requests lost with the connection: resend or reject per request
+        _requeueInFlight() {
+            const resend = [];
+
+            this.pendingRequests.forEach((pending, ackId) => {
+                if (pending.queued) return;
+
+                if (pending.resend) {
+                    pending.queued = true;
+                    resend.push({ frame: pending.frame, ackId, at: Date.now() });
+                } else {
+                    clearTimeout(pending.timer);
+                    this.pendingRequests.delete(ackId);
+                    pending.reject(new EmitError('DISCONNECTED', `Disconnected before reply: ${pending.frame.event}`));
+                }
+            });
+
+            // They were sent before anything queued since, so they go first
+            this.queue = resend.concat(this.queue);
+            this._trimQueue();
         }
 
         _callListeners(event, data) {
@@ -137,6 +917,15 @@
             return this;
         }
 
+        handle(event, handler) {
+            if (handler) {
+                this.handlers.set(event, handler);
+            } else {
+                this.handlers.delete(event);
+            }
+            return this;
+        }
+
         set(key, value) {
             this.data[key] = value;
             return this;
@@ -147,39 +936,191 @@
         }
 
         emit(event, data) {
-            if (this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify({ event, data }));
+            if (this._canSend() && !this._shouldHold()) {
+                this._send({ event, data });
+            } else if (this._shouldQueue()) {
+                this._enqueue({ event, data });
             }
             return this;
         }
 
         request(event, data, options = {}) {
             return new Promise((resolve, reject) => {
-                if (this.ws.readyState !== WebSocket.OPEN) {
-                    return reject(new Error('Not connected'));
+                const canSend = this._canSend() && !this._shouldHold();
+                if (!canSend && !this._shouldQueue()) {
+                    return reject(new EmitError('NOT_CONNECTED', 'Not connected'));
+                }
+
+                const { signal } = options;
+                if (signal && signal.aborted) {
+                    return reject(new EmitError('ABORTED', `Request aborted: ${event}`));
                 }
 
                 const timeout = options.timeout || 10000;
                 const ackId = Math.random().toString(36).slice(2, 10) +
                     Math.random().toString(36).slice(2, 10);
 
-                const timer = setTimeout(() => {
+                // Stop waiting locally and tell the server to stop working on it
+                const cancel = (err) => {
+                    const pending = this.pendingRequests.get(ackId);
+                    if (!pending) return;
+
+                    clearTimeout(pending.timer);
                     this.pendingRequests.delete(ackId);
-                    reject(new Error(`Request timeout: ${event}`));
+                    if (!pending.queued && this._canSend()) {
+                        this._send({ type: 'cancel', ackId });
+                    }
+                    pending.reject(err);
+                };
+
+                const onAbort = () => cancel(new EmitError('ABORTED', `Request aborted: ${event}`));
+                const cleanup = () => signal && signal.removeEventListener('abort', onAbort);
+
+                const timer = setTimeout(() => {
+                    cancel(new EmitError('TIMEOUT', `Request timeout: ${event}`));
                 }, timeout);
 
-                this.pendingRequests.set(ackId, { resolve, timer });
-                this.ws.send(JSON.stringify({ event, data, ackId }));
+                const frame = { event, data, ackId };
+                const resend = options.resend ?? this.queueOptions?.resend ?? false;
+                this.pendingRequests.set(ackId, {
+                    resolve: (value) => { cleanup(); resolve(value); },
+                    reject: (err) => { cleanup(); reject(err); },
+                    timer,
+                    frame,
+                    resend
+                });
+                if (signal) signal.addEventListener('abort', onAbort);
+
+                if (canSend) {
+                    this._send(frame);
+                } else {
+                    this._enqueue(frame, ackId);
+                }
             });
         }
 
+        /**
+         * Stream a reply as an async iterator
+         * Chunks arrive in order; the server may only send `credit` chunks
+         * ahead of what has been consumed. Stopping iteration cancels it.
+         */
+        stream(event, data, options = {}) {
+            const credit = options.credit || 16;
+            const { signal } = options;
+            const ackId = Math.random().toString(36).slice(2, 10) +
+                Math.random().toString(36).slice(2, 10);
+
+            const chunks = [];
+            let waiting = null;
+            let done = false;
+            let error = null;
+            let consumed = 0;
+
+            const state = {
+                push: (value) => {
+                    if (done) return;
+                    if (waiting) {
+                        const { resolve } = waiting;
+                        waiting = null;
+                        consumed++;
+                        grant();
+                        resolve({ value, done: false });
+                    } else {
+                        chunks.push(value);
+                    }
+                },
+                finish: (err) => {
+                    if (done) return;
+                    done = true;
+                    error = err;
+                    this.streams.delete(ackId);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+
+                    if (waiting) {
+                        const { resolve, reject } = waiting;
+                        waiting = null;
+                        if (err) {
+                            error = null;
+                            reject(err);
+                        } else {
+                            resolve({ value: undefined, done: true });
+                        }
+                    }
+                }
+            };
+
+            // Hand credit back once half of it has been consumed
+            const grant = () => {
+                if (consumed >= Math.ceil(credit / 2) && !done && this._canSend()) {
+                    this._send({ type: 'credit', ackId, credit: consumed });
+                    consumed = 0;
+                }
+            };
+
+            const cancel = (err) => {
+                if (done) return;
+                if (this._canSend()) {
+                    this._send({ type: 'cancel', ackId });
+                }
+                state.finish(err);
+            };
+
+            const onAbort = () => cancel(new EmitError('ABORTED', `Stream aborted: ${event}`));
+
+            if (signal && signal.aborted) {
+                state.finish(new EmitError('ABORTED', `Stream aborted: ${event}`));
+            } else if (this.version && !this.features.includes('streaming')) {
+                state.finish(new EmitError('NOT_SUPPORTED', 'Server does not support streaming'));
+            } else if (!this._canSend()) {
+                state.finish(new EmitError('NOT_CONNECTED', 'Not connected'));
+            } else {
+                this.streams.set(ackId, state);
+                if (signal) signal.addEventListener('abort', onAbort);
+                this._send({ event, data, ackId, stream: credit });
+            }
+
+            return {
+                [Symbol.asyncIterator]() {
+                    return this;
+                },
+
+                next: () => {
+                    if (chunks.length > 0) {
+                        consumed++;
+                        grant();
+                        return Promise.resolve({ value: chunks.shift(), done: false });
+                    }
+                    if (error) {
+                        const err = error;
+                        error = null;
+                        return Promise.reject(err);
+                    }
+                    if (done) {
+                        return Promise.resolve({ value: undefined, done: true });
+                    }
+                    return new Promise((resolve, reject) => {
+                        waiting = { resolve, reject };
+                    });
+                },
+
+                // Called on break/return from for await: stop the server too
+                return: () => {
+                    cancel(null);
+                    chunks.length = 0;
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+            };
+        }
+
         ns(prefix) {
             return new ClientNamespace(this, prefix);
         }
 
         close() {
             this.options.reconnect = false;
-            this.ws.close();
+            this._closing = true;
+            this._stopHeartbeat();
+            this.ws.close(1000);
         }
 
         get connected() {
@@ -202,11 +1143,20 @@
             return this.client.request(this.prefix + event, data, options);
         }
 
+        stream(event, data, options) {
+            return this.client.stream(this.prefix + event, data, options);
+        }
+
         on(event, callback) {
             this.client.on(this.prefix + event, callback);
             return this;
         }
 
+        handle(event, handler) {
+            this.client.handle(this.prefix + event, handler);
+            return this;
+        }
+
         off(event, callback) {
             this.client.off(this.prefix + event, callback);
             return this;
@@ -220,11 +1170,14 @@
     // Export for different environments
     if (typeof module !== 'undefined' && module.exports) {
         // Node.js / CommonJS
-        module.exports = { Client, ClientNamespace };
+        module.exports = { Client, ClientNamespace, EmitError, CLOSE_CODES, codecs: { json, msgpack } };
     } else {
         // Browser global
         window.Client = Client;
         window.ClientNamespace = ClientNamespace;
+        window.EmitError = EmitError;
+        window.EmitCodecs = { json, msgpack };
+        window.EmitCloseCodes = CLOSE_CODES;
     }
 
 })(typeof window !== 'undefined' ? window : this);
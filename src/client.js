@@ -5,17 +5,86 @@
 
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const { EmitError } = require('./errors');
+const { json, msgpack, resolveCodecs, codecProtocol, codecForProtocol } = require('./codecs');
+const { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, FEATURES, CLOSE_CODES, CLOSE_REASONS, TERMINAL_CODES } = require('./protocol');
+
+// Handshake failures that a reconnect would run into again
+const MISMATCH_CODES = [CLOSE_CODES.UNSUPPORTED_CODEC, CLOSE_CODES.UNSUPPORTED_VERSION];
+
+// Subprotocols to offer; plain JSON offers none so any server accepts it
+function offeredProtocols(codecs) {
+    if (codecs.length === 1 && codecs[0] === json) return undefined;
+    return codecs.map(codecProtocol);
+}
+
+/**
+ * Normalize the heartbeat option: true -> defaults, falsy -> disabled
+ */
+function heartbeatOptions(heartbeat) {
+    if (!heartbeat) return null;
+    return {
+        interval: 25000,  // How often to ping the server (ms)
+        timeout: 10000,   // Missing pong after this long means the server is gone (ms)
+        ...(heartbeat === true ? {} : heartbeat)
+    };
+}
+
+/**
+ * Normalize the queue option: true -> defaults, falsy -> disabled
+ */
+function queueOptions(queue) {
+    if (!queue) return null;
+    return {
+        maxSize: 100,     // Max queued frames, oldest dropped first
+        maxAge: 30000,    // Drop frames queued longer than this (ms)
+        resend: false,    // Default policy for in-flight requests on disconnect
+        ...(queue === true ? {} : queue)
+    };
+}
 
 class Client {
     constructor(ws, options = {}) {
         this.ws = ws;
         this.url = ws.url;
         this.options = options;
+        this.codecs = resolveCodecs(options.codec || 'json');
+        this.codec = null; // Negotiated per connection in _setupListeners
         this.listeners = new Map();
+        this.handlers = new Map(); // event -> handler for server-initiated requests
         this.pendingRequests = new Map();
+        this.inflight = new Map(); // ackId -> AbortController for server-initiated requests
+        this.streams = new Map(); // ackId -> state of an open stream()
         this.data = {};
         this.reconnectAttempts = 0;
 
+        // Set by the server's welcome frame
+        this.id = null;
+        this.version = null;
+        this.features = [];
+        this.compression = null;
+        this._handshaking = false;
+        this._handshakeTimer = null;
+        this._handshakeError = null; // Why the current handshake failed
+        this._onWelcome = null;      // Settles Client.connect
+        this._closing = false;       // We closed the current connection
+        this._reconnectIn = null;    // Delay suggested by the server's goaway
+
+        // Session recovery
+        this.session = null;
+        this.lastSeq = 0;
+
+        // Outbound queue for emits and requests made while reconnecting
+        this.queueOptions = queueOptions(options.queue);
+        this.queue = [];
+
+        // Client-side liveness: ping the server, reconnect when it stops answering
+        this.heartbeatOptions = heartbeatOptions(options.heartbeat);
+        this.latency = null; // Last measured round-trip time (ms)
+        this._heartbeatTimer = null;
+        this._pongTimer = null;
+        this._pingSentAt = null;
+
         this._setupListeners();
     }
 
@@ -23,17 +92,22 @@ class Client {
         return new Promise((resolve, reject) => {
             const timeout = options.connectTimeout || 10000;
 
+            const ws = new WebSocket(url, offeredProtocols(resolveCodecs(options.codec || 'json')));
+
             const timer = setTimeout(() => {
                 reject(new Error('Connection timeout'));
+                ws.terminate();
             }, timeout);
 
-            const ws = new WebSocket(url);
-
+            // Resolve once the handshake is done, not when the socket opens
             ws.on('open', () => {
-                clearTimeout(timer);
                 const client = new Client(ws, { ...options, url });
-                client._callListeners('@connection', {});
-                resolve(client);
+                client._onWelcome = (err) => {
+                    clearTimeout(timer);
+                    if (err) return reject(err);
+                    client._callListeners('@connection', {});
+                    resolve(client);
+                };
             });
 
             ws.on('error', (err) => {
@@ -44,26 +118,166 @@ class Client {
     }
 
     _setupListeners() {
-        this.ws.on('message', (raw) => {
+        this.codec = codecForProtocol(this.codecs, this.ws.protocol);
+
+        this.ws.on('message', (raw, isBinary) => {
             try {
-                const message = JSON.parse(raw.toString());
+                const message = this.codec.decode(isBinary ? raw : raw.toString());
                 this._handleMessage(message);
             } catch (err) {
                 this._callListeners('@error', { error: `Failed to parse message: ${err.message}` });
             }
         });
 
-        this.ws.on('close', () => {
-            this._callListeners('@disconnect', {});
-
-            if (this.options.reconnect) {
-                this._attemptReconnect();
-            }
-        });
+        this.ws.on('close', (code, reason) => this._handleClose(code, reason.toString()));
 
         this.ws.on('error', (err) => {
             this._callListeners('@error', { error: err.message });
         });
+
+        this._closing = false;
+        this._startHeartbeat();
+        this._sendHello();
+    }
+
+    // Open the handshake; nothing else is sent until the welcome arrives
+    _sendHello() {
+        this._handshaking = true;
+        this._handshakeError = null;
+
+        if (!this.codecs.includes(this.codec)) {
+            const names = this.codecs.map(codec => codec.name).join(', ');
+            this._handshakeFailed(CLOSE_CODES.UNSUPPORTED_CODEC, `Server accepts none of the codecs: ${names}`);
+            return;
+        }
+
+        this._handshakeTimer = setTimeout(() => {
+            this._handshakeFailed(CLOSE_CODES.HANDSHAKE_TIMEOUT, 'Handshake timeout');
+        }, this.options.connectTimeout || 10000);
+
+        this._send({
+            type: 'hello',
+            version: PROTOCOL_VERSION,
+            minVersion: MIN_PROTOCOL_VERSION,
+            codecs: this.codecs.map(codec => codec.name),
+            compression: ['permessage-deflate'],
+            features: FEATURES,
+            session: this.session || undefined,
+            seq: this.session ? this.lastSeq : undefined
+        });
+    }
+
+    _handleWelcome(message) {
+        clearTimeout(this._handshakeTimer);
+        this._handshakeError = null;
+
+        if (!(message.version >= MIN_PROTOCOL_VERSION && message.version <= PROTOCOL_VERSION)) {
+            this._handshakeFailed(CLOSE_CODES.UNSUPPORTED_VERSION,
+                `Unsupported protocol version ${message.version}, client speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`);
+            return;
+        }
+
+        this._handshaking = false;
+        this.id = message.id;
+        this.version = message.version;
+        this.features = message.features || [];
+        this.compression = message.compression || null;
+        this.session = message.session || null;
+        if (message.recovered !== true) {
+            // New session, sequence numbers start over
+            this.lastSeq = 0;
+        }
+
+        if (this._onWelcome) {
+            this._settleConnect(null);
+        } else {
+            // Replayed events have arrived by now, so @reconnect fires after them
+            this._reconnected({ recovered: message.recovered === true });
+        }
+    }
+
+    // Report a failed handshake and close with the matching code
+    _handshakeFailed(code, reason) {
+        if (this._handshakeError) return;
+
+        clearTimeout(this._handshakeTimer);
+        this._handshakeError = new EmitError(CLOSE_REASONS[code], reason, { closeCode: code });
+        this._callListeners('@error', { error: reason, code: CLOSE_REASONS[code], closeCode: code });
+
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this._closing = true;
+            this.ws.close(code, reason);
+        }
+    }
+
+    _settleConnect(err) {
+        const onWelcome = this._onWelcome;
+        this._onWelcome = null;
+        onWelcome(err);
+    }
+
+    // Encode with the codec negotiated for this connection
+    _send(message) {
+        this.ws.send(this.codec.encode(message));
+    }
+
+    _handleClose(code, reason) {
+        // 1006: dropped without a close frame
+        const initiatedBy = this._closing ? 'client' : code === 1006 ? 'network' : 'server';
+        this._closing = false;
+
+        const handshaking = this._handshaking;
+        this._handshaking = false;
+        clearTimeout(this._handshakeTimer);
+        this._stopHeartbeat();
+
+        // The server rejected the hello; going away just means try again
+        if (handshaking && CLOSE_REASONS[code] && code !== CLOSE_CODES.GOING_AWAY) {
+            this._handshakeFailed(code, reason || CLOSE_REASONS[code]);
+        }
+
+        // Client.connect is still waiting, there is nothing else to clean up
+        if (this._onWelcome) {
+            this._settleConnect(this._handshakeError ||
+                new EmitError('HANDSHAKE_FAILED', 'Connection closed during handshake'));
+            return;
+        }
+
+        // Replies to server-initiated requests can't be delivered anymore
+        this.inflight.forEach(controller => controller.abort());
+        this.inflight.clear();
+
+        // Open streams end with the connection
+        this.streams.forEach(state => state.finish(new EmitError('DISCONNECTED', 'Disconnected during stream')));
+
+        this._callListeners('@disconnect', { code, reason, initiatedBy });
+
+        if (this._shouldQueue()) {
+            this._requeueInFlight();
+        }
+
+        // Reconnecting would hit the same mismatch; timeouts and the like are retried
+        if (this._handshakeError && MISMATCH_CODES.includes(this._handshakeError.details.closeCode)) {
+            this._clearQueue(this._handshakeError.code, this._handshakeError.message);
+            return;
+        }
+
+        // Kicked, auth failed and the like: the server doesn't want us back
+        if (initiatedBy === 'server' && TERMINAL_CODES.includes(code)) {
+            this._clearQueue('DISCONNECTED', reason || `Disconnected by server (${code})`);
+            return;
+        }
+
+        if (this.options.reconnect) {
+            this._attemptReconnect();
+        }
+    }
+
+    // No pong in time: drop the connection, which triggers the usual reconnect
+    _handleDead() {
+        this._callListeners('@error', { error: 'Heartbeat timeout' });
+        this._closing = true;
+        this.ws.terminate();
     }
 
     _attemptReconnect() {
@@ -73,46 +287,288 @@ class Client {
 
         if (this.reconnectAttempts >= maxRetries) {
             this._callListeners('@error', { error: 'Max reconnect attempts reached' });
+            this._clearQueue('DISCONNECTED', 'Max reconnect attempts reached');
             return;
         }
 
         this.reconnectAttempts++;
 
-        // Exponential backoff with jitter
+        // Exponential backoff with jitter, unless the server suggested a delay
         const exponentialDelay = baseDelay * Math.pow(2, this.reconnectAttempts - 1);
         const jitter = Math.random() * 0.3 * exponentialDelay;
-        const delay = Math.min(exponentialDelay + jitter, maxDelay);
+        const delay = this._reconnectIn ?? Math.min(exponentialDelay + jitter, maxDelay);
+        this._reconnectIn = null;
 
         setTimeout(() => {
-            const ws = new WebSocket(this.options.url);
+            const ws = new WebSocket(this.options.url, offeredProtocols(this.codecs));
 
+            // The hello carries the resume token; the welcome fires @reconnect
             ws.on('open', () => {
                 this.ws = ws;
                 this.reconnectAttempts = 0;
                 this._setupListeners();
-                this._callListeners('@reconnect', {});
+            });
+
+            // A 401 means the credentials no longer work, retrying won't change that
+            let rejected = false;
+            ws.on('unexpected-response', (req, res) => {
+                rejected = true;
+                req.destroy();
+                if (res.statusCode === 401) {
+                    this._authFailed(res.statusMessage || 'Unauthorized');
+                } else {
+                    this._attemptReconnect();
+                }
             });
 
             ws.on('error', () => {
-                this._attemptReconnect();
+                if (!rejected) this._attemptReconnect();
             });
         }, delay);
     }
 
+    // The server turned the reconnect away before the upgrade: stop like on a terminal close code
+    _authFailed(reason) {
+        const code = CLOSE_CODES.TOKEN_EXPIRED;
+        this._callListeners('@disconnect', { code, reason, initiatedBy: 'server' });
+        this._clearQueue(CLOSE_REASONS[code], reason);
+    }
+
     _handleMessage(message) {
+        if (message.type === 'ping') {
+            this._send({ type: 'pong', t: message.t });
+            return;
+        }
+
+        if (message.type === 'pong') {
+            this._handlePong();
+            return;
+        }
+
+        if (message.type === 'welcome') {
+            this._handleWelcome(message);
+            return;
+        }
+
+        // The server is shutting down and will close once in-flight work is done
+        if (message.type === 'goaway') {
+            this._reconnectIn = Number(message.reconnectIn) || 0;
+            this._callListeners('@goaway', { reason: message.reason, reconnectIn: this._reconnectIn });
+            return;
+        }
+
+        if (message.seq) {
+            // Already seen (e.g. replayed twice)
+            if (message.seq <= this.lastSeq) return;
+            this.lastSeq = message.seq;
+        }
+
+        if (message.type === 'cancel') {
+            const controller = this.inflight.get(message.ackId);
+            if (controller) {
+                this.inflight.delete(message.ackId);
+                controller.abort();
+            }
+            return;
+        }
+
+        if (message.type === 'chunk' || message.type === 'end' ||
+            (message.type === 'ack' && this.streams.has(message.ackId))) {
+            this._handleStreamFrame(message);
+            return;
+        }
+
         if (message.type === 'ack') {
             const pending = this.pendingRequests.get(message.ackId);
             if (pending) {
                 clearTimeout(pending.timer);
-                pending.resolve(message.data);
+                if (message.error) {
+                    pending.reject(EmitError.from(message.error));
+                } else {
+                    pending.resolve(message.data);
+                }
                 this.pendingRequests.delete(message.ackId);
             }
             return;
         }
 
-        const { event, data } = message;
+        const { event, data, ackId } = message;
         this._callListeners('@any', { event, data });
         this._callListeners(event, data);
+
+        if (ackId) {
+            this._handleRequest(event, data, ackId);
+        }
+    }
+
+    // Answer a server-initiated request with an ack frame
+    _handleRequest(event, data, ackId) {
+        const controller = new AbortController();
+        this.inflight.set(ackId, controller);
+
+        const send = (frame) => {
+            this.inflight.delete(ackId);
+            if (!controller.signal.aborted && this.ws.readyState === WebSocket.OPEN) {
+                this._send({ type: 'ack', ackId, ...frame });
+            }
+        };
+
+        const fail = (err) => {
+            if (err instanceof EmitError) {
+                send({ error: { code: err.code, message: err.message, details: err.details } });
+            } else {
+                send({ error: { code: 'INTERNAL_ERROR', message: (err && err.message) || 'Internal error' } });
+            }
+        };
+
+        const handler = this.handlers.get(event);
+        if (!handler) {
+            send({ error: { code: 'NO_HANDLER', message: `No handler for: ${event}` } });
+            return;
+        }
+
+        try {
+            Promise.resolve(handler(data, { signal: controller.signal })).then(result => send({ data: result }), fail);
+        } catch (err) {
+            fail(err);
+        }
+    }
+
+    _handleStreamFrame(message) {
+        const state = this.streams.get(message.ackId);
+        if (!state) return;
+
+        if (message.type === 'chunk') {
+            state.push(message.data);
+        } else if (message.error) {
+            state.finish(EmitError.from(message.error));
+        } else {
+            // A plain reply to a stream request is a single chunk
+            if (message.type === 'ack') state.push(message.data);
+            state.finish(null);
+        }
+    }
+
+    _startHeartbeat() {
+        this._stopHeartbeat();
+        if (!this.heartbeatOptions) return;
+
+        const { interval, timeout } = this.heartbeatOptions;
+
+        this._heartbeatTimer = setInterval(() => {
+            if (this._pongTimer || !this._canSend()) return;
+
+            this._pingSentAt = Date.now();
+            this._send({ type: 'ping', t: this._pingSentAt });
+            this._pongTimer = setTimeout(() => this._handleDead(), timeout);
+        }, interval);
+    }
+
+    _stopHeartbeat() {
+        clearInterval(this._heartbeatTimer);
+        clearTimeout(this._pongTimer);
+        this._heartbeatTimer = null;
+        this._pongTimer = null;
+    }
+
+    _handlePong() {
+        clearTimeout(this._pongTimer);
+        this._pongTimer = null;
+        if (this._pingSentAt) {
+            this.latency = Date.now() - this._pingSentAt;
+            this._pingSentAt = null;
+        }
+    }
+
+    _reconnected(data) {
+        this._flushQueue();
+        this._callListeners('@reconnect', data);
+    }
+
+    // Frames can go out directly: socket open and handshake done
+    _canSend() {
+        return this.ws.readyState === WebSocket.OPEN && !this._handshaking;
+    }
+
+    // After a goaway new work waits for the next server, if it can be queued
+    _shouldHold() {
+        return this._reconnectIn !== null && this._shouldQueue();
+    }
+
+    // Frames wait in the queue when it is enabled and a reconnect is coming
+    _shouldQueue() {
+        return Boolean(this.queueOptions) && Boolean(this.options.reconnect);
+    }
+
+    _enqueue(frame, ackId) {
+        if (ackId) this.pendingRequests.get(ackId).queued = true;
+        this.queue.push({ frame, ackId, at: Date.now() });
+        this._trimQueue();
+    }
+
+    _trimQueue() {
+        while (this.queue.length > this.queueOptions.maxSize) {
+            this._dropQueued(this.queue.shift(), 'QUEUE_FULL', 'Outbound queue full');
+        }
+    }
+
+    _dropQueued(item, code, message) {
+        if (!item.ackId) return;
+
+        const pending = this.pendingRequests.get(item.ackId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pendingRequests.delete(item.ackId);
+            pending.reject(new EmitError(code, `${message}: ${item.frame.event}`));
+        }
+    }
+
+    // Send queued frames in order, dropping those past maxAge
+    _flushQueue() {
+        const queue = this.queue;
+        const cutoff = this.queueOptions ? Date.now() - this.queueOptions.maxAge : -Infinity;
+        this.queue = [];
+
+        queue.forEach(item => {
+            const pending = item.ackId && this.pendingRequests.get(item.ackId);
+            if (item.ackId && !pending) return; // Timed out while queued
+
+            if (item.at < cutoff) {
+                this._dropQueued(item, 'QUEUE_EXPIRED', 'Queued too long');
+                return;
+            }
+
+            if (pending) pending.queued = false;
+            this._send(item.frame);
+        });
+    }
+
+    _clearQueue(code, message) {
+        const queue = this.queue;
+        this.queue = [];
+        queue.forEach(item => this._dropQueued(item, code, message));
+    }
+
+    // In-flight requests lost with the connection: resend or reject per request
+    _requeueInFlight() {
+        const resend = [];
+
+        this.pendingRequests.forEach((pending, ackId) => {
+            if (pending.queued) return;
+
+            if (pending.resend) {
+                pending.queued = true;
+                resend.push({ frame: pending.frame, ackId, at: Date.now() });
+            } else {
+                clearTimeout(pending.timer);
+                this.pendingRequests.delete(ackId);
+                pending.reject(new EmitError('DISCONNECTED', `Disconnected before reply: ${pending.frame.event}`));
+            }
+        });
+
+        // They were sent before anything queued since, so they go first
+        this.queue = resend.concat(this.queue);
+        this._trimQueue();
     }
 
     _callListeners(event, data) {
@@ -139,6 +595,15 @@ class Client {
         return this;
     }
 
+    handle(event, handler) {
+        if (handler) {
+            this.handlers.set(event, handler);
+        } else {
+            this.handlers.delete(event);
+        }
+        return this;
+    }
+
     set(key, value) {
         this.data[key] = value;
         return this;
@@ -149,38 +614,189 @@ class Client {
     }
 
     emit(event, data) {
-        if (this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({ event, data }));
+        if (this._canSend() && !this._shouldHold()) {
+            this._send({ event, data });
+        } else if (this._shouldQueue()) {
+            this._enqueue({ event, data });
         }
         return this;
     }
 
     request(event, data, options = {}) {
         return new Promise((resolve, reject) => {
-            if (this.ws.readyState !== WebSocket.OPEN) {
-                return reject(new Error('Not connected'));
+            const canSend = this._canSend() && !this._shouldHold();
+            if (!canSend && !this._shouldQueue()) {
+                return reject(new EmitError('NOT_CONNECTED', 'Not connected'));
+            }
+
+            const { signal } = options;
+            if (signal && signal.aborted) {
+                return reject(new EmitError('ABORTED', `Request aborted: ${event}`));
             }
 
             const timeout = options.timeout || 10000;
             const ackId = crypto.randomUUID();
 
-            const timer = setTimeout(() => {
+            // Stop waiting locally and tell the server to stop working on it
+            const cancel = (err) => {
+                const pending = this.pendingRequests.get(ackId);
+                if (!pending) return;
+
+                clearTimeout(pending.timer);
                 this.pendingRequests.delete(ackId);
-                reject(new Error(`Request timeout: ${event}`));
+                if (!pending.queued && this._canSend()) {
+                    this._send({ type: 'cancel', ackId });
+                }
+                pending.reject(err);
+            };
+
+            const onAbort = () => cancel(new EmitError('ABORTED', `Request aborted: ${event}`));
+            const cleanup = () => signal && signal.removeEventListener('abort', onAbort);
+
+            const timer = setTimeout(() => {
+                cancel(new EmitError('TIMEOUT', `Request timeout: ${event}`));
             }, timeout);
 
-            this.pendingRequests.set(ackId, { resolve, timer });
-            this.ws.send(JSON.stringify({ event, data, ackId }));
+            const frame = { event, data, ackId };
+            const resend = options.resend ?? this.queueOptions?.resend ?? false;
+            this.pendingRequests.set(ackId, {
+                resolve: (value) => { cleanup(); resolve(value); },
+                reject: (err) => { cleanup(); reject(err); },
+                timer,
+                frame,
+                resend
+            });
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            if (canSend) {
+                this._send(frame);
+            } else {
+                this._enqueue(frame, ackId);
+            }
         });
     }
 
+    /**
+     * Stream a reply as an async iterator
+     * Chunks arrive in order; the server may only send `credit` chunks
+     * ahead of what has been consumed. Stopping iteration cancels it.
+     */
+    stream(event, data, options = {}) {
+        const credit = options.credit || 16;
+        const { signal } = options;
+        const ackId = crypto.randomUUID();
+
+        const chunks = [];
+        let waiting = null;
+        let done = false;
+        let error = null;
+        let consumed = 0;
+
+        const state = {
+            push: (value) => {
+                if (done) return;
+                if (waiting) {
+                    const { resolve } = waiting;
+                    waiting = null;
+                    consumed++;
+                    grant();
+                    resolve({ value, done: false });
+                } else {
+                    chunks.push(value);
+                }
+            },
+            finish: (err) => {
+                if (done) return;
+                done = true;
+                error = err;
+                this.streams.delete(ackId);
+                if (signal) signal.removeEventListener('abort', onAbort);
+
+                if (waiting) {
+                    const { resolve, reject } = waiting;
+                    waiting = null;
+                    if (err) {
+                        error = null;
+                        reject(err);
+                    } else {
+                        resolve({ value: undefined, done: true });
+                    }
+                }
+            }
+        };
+
+        // Hand credit back once half of it has been consumed
+        const grant = () => {
+            if (consumed >= Math.ceil(credit / 2) && !done && this._canSend()) {
+                this._send({ type: 'credit', ackId, credit: consumed });
+                consumed = 0;
+            }
+        };
+
+        const cancel = (err) => {
+            if (done) return;
+            if (this._canSend()) {
+                this._send({ type: 'cancel', ackId });
+            }
+            state.finish(err);
+        };
+
+        const onAbort = () => cancel(new EmitError('ABORTED', `Stream aborted: ${event}`));
+
+        if (signal && signal.aborted) {
+            state.finish(new EmitError('ABORTED', `Stream aborted: ${event}`));
+        } else if (this.version && !this.features.includes('streaming')) {
+            state.finish(new EmitError('NOT_SUPPORTED', 'Server does not support streaming'));
+        } else if (!this._canSend()) {
+            state.finish(new EmitError('NOT_CONNECTED', 'Not connected'));
+        } else {
+            this.streams.set(ackId, state);
+            if (signal) signal.addEventListener('abort', onAbort);
+            this._send({ event, data, ackId, stream: credit });
+        }
+
+        return {
+            [Symbol.asyncIterator]() {
+                return this;
+            },
+
+            next: () => {
+                if (chunks.length > 0) {
+                    consumed++;
+                    grant();
+                    return Promise.resolve({ value: chunks.shift(), done: false });
+                }
+                if (error) {
+                    const err = error;
+                    error = null;
+                    return Promise.reject(err);
+                }
+                if (done) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise((resolve, reject) => {
+                    waiting = { resolve, reject };
+                });
+            },
+
+            // Called on break/return from for await: stop the server too
+            return: () => {
+                cancel(null);
+                chunks.length = 0;
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    }
+
     ns(prefix) {
         return new ClientNamespace(this, prefix);
     }
 
     close() {
         this.options.reconnect = false;
-        this.ws.close();
+        this._closing = true;
+        this._stopHeartbeat();
+        this.ws.close(1000);
     }
 
     get connected() {
@@ -203,14 +819,23 @@ class ClientNamespace {
         return this.client.request(this.prefix + event, data, options);
     }
 
+    stream(event, data, options) {
+        return this.client.stream(this.prefix + event, data, options);
+    }
+
     on(event, callback) {
         this.client.on(this.prefix + event, callback);
         return this;
     }
 
+    handle(event, handler) {
+        this.client.handle(this.prefix + event, handler);
+        return this;
+    }
+
     ns(prefix) {
         return new ClientNamespace(this.client, this.prefix + prefix);
     }
 }
 
-module.exports = { Client, ClientNamespace };
+module.exports = { Client, ClientNamespace, EmitError, CLOSE_CODES, codecs: { json, msgpack } };
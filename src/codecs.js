@@ -0,0 +1,295 @@
+/**
+ * emit.gg - Codecs
+ * Message encoding, negotiated per connection
+ *
+ * A codec is { name, binary, encode(message), decode(data) }:
+ *   encode returns a string (text frames) or Uint8Array (binary frames)
+ *   decode accepts a string, Buffer, Uint8Array or ArrayBuffer
+ *
+ * The client offers codecs as WebSocket subprotocols ('emit.<name>'),
+ * the server picks the first one it supports or closes the connection
+ * during the handshake when there is none. No subprotocol means JSON.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (Array.isArray(data)) return toBytes(Buffer.concat(data)); // ws fragments
+    throw new TypeError('Cannot decode frame of type ' + typeof data);
+}
+
+const json = {
+    name: 'json',
+    binary: false,
+    encode: (message) => JSON.stringify(message),
+    decode: (data) => JSON.parse(typeof data === 'string' ? data : textDecoder.decode(toBytes(data)))
+};
+
+// ============ MESSAGEPACK ============
+
+class Writer {
+    constructor() {
+        this.bytes = new Uint8Array(256);
+        this.view = new DataView(this.bytes.buffer);
+        this.pos = 0;
+    }
+
+    ensure(size) {
+        if (this.pos + size <= this.bytes.length) return;
+
+        let length = this.bytes.length * 2;
+        while (length < this.pos + size) length *= 2;
+
+        const bytes = new Uint8Array(length);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    u8(value) {
+        this.ensure(1);
+        this.view.setUint8(this.pos, value);
+        this.pos += 1;
+    }
+
+    u16(value) {
+        this.ensure(2);
+        this.view.setUint16(this.pos, value);
+        this.pos += 2;
+    }
+
+    u32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.pos, value);
+        this.pos += 4;
+    }
+
+    raw(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.pos);
+        this.pos += bytes.length;
+    }
+
+    // Type byte followed by an 8, 16 or 32-bit length
+    header(length, small, medium, large) {
+        if (length < 0x100 && small !== null) {
+            this.u8(small);
+            this.u8(length);
+        } else if (length < 0x10000) {
+            this.u8(medium);
+            this.u16(length);
+        } else {
+            this.u8(large);
+            this.u32(length);
+        }
+    }
+
+    result() {
+        return this.bytes.slice(0, this.pos);
+    }
+}
+
+function writeNumber(w, value) {
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+        if (value < 0x80) {
+            w.u8(value);
+        } else if (value < 0x100) {
+            w.u8(0xcc);
+            w.u8(value);
+        } else if (value < 0x10000) {
+            w.u8(0xcd);
+            w.u16(value);
+        } else {
+            w.u8(0xce);
+            w.u32(value);
+        }
+    } else if (Number.isInteger(value) && value < 0 && value >= -0x80000000) {
+        w.ensure(5);
+        if (value >= -32) {
+            w.view.setInt8(w.pos, value);
+            w.pos += 1;
+        } else if (value >= -0x80) {
+            w.u8(0xd0);
+            w.view.setInt8(w.pos, value);
+            w.pos += 1;
+        } else if (value >= -0x8000) {
+            w.u8(0xd1);
+            w.view.setInt16(w.pos, value);
+            w.pos += 2;
+        } else {
+            w.u8(0xd2);
+            w.view.setInt32(w.pos, value);
+            w.pos += 4;
+        }
+    } else {
+        w.u8(0xcb);
+        w.ensure(8);
+        w.view.setFloat64(w.pos, value);
+        w.pos += 8;
+    }
+}
+
+function write(w, value) {
+    if (value === null || value === undefined) {
+        w.u8(0xc0);
+    } else if (value === false) {
+        w.u8(0xc2);
+    } else if (value === true) {
+        w.u8(0xc3);
+    } else if (typeof value === 'number') {
+        writeNumber(w, value);
+    } else if (typeof value === 'bigint') {
+        w.u8(value < 0 ? 0xd3 : 0xcf);
+        w.ensure(8);
+        if (value < 0) w.view.setBigInt64(w.pos, value);
+        else w.view.setBigUint64(w.pos, value);
+        w.pos += 8;
+    } else if (typeof value === 'string') {
+        const bytes = textEncoder.encode(value);
+        if (bytes.length < 32) {
+            w.u8(0xa0 | bytes.length);
+        } else {
+            w.header(bytes.length, 0xd9, 0xda, 0xdb);
+        }
+        w.raw(bytes);
+    } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        const bytes = toBytes(value);
+        w.header(bytes.length, 0xc4, 0xc5, 0xc6);
+        w.raw(bytes);
+    } else if (Array.isArray(value)) {
+        if (value.length < 16) {
+            w.u8(0x90 | value.length);
+        } else {
+            w.header(value.length, null, 0xdc, 0xdd);
+        }
+        value.forEach(item => write(w, item));
+    } else if (typeof value.toJSON === 'function') {
+        // Same as JSON.stringify, e.g. Date -> ISO string
+        write(w, value.toJSON());
+    } else if (typeof value === 'object') {
+        const keys = Object.keys(value).filter(key =>
+            value[key] !== undefined && typeof value[key] !== 'function');
+
+        if (keys.length < 16) {
+            w.u8(0x80 | keys.length);
+        } else {
+            w.header(keys.length, null, 0xde, 0xdf);
+        }
+        keys.forEach(key => {
+            write(w, key);
+            write(w, value[key]);
+        });
+    } else {
+        // Functions and symbols, like JSON
+        w.u8(0xc0);
+    }
+}
+
+function read(r) {
+    const type = r.bytes[r.pos++];
+    const view = r.view;
+
+    const take = (size) => {
+        const pos = r.pos;
+        r.pos += size;
+        return pos;
+    };
+    const str = (length) => textDecoder.decode(r.bytes.subarray(take(length), r.pos));
+    const bin = (length) => r.bytes.slice(take(length), r.pos);
+    const array = (length) => {
+        const result = new Array(length);
+        for (let i = 0; i < length; i++) result[i] = read(r);
+        return result;
+    };
+    const map = (length) => {
+        const result = {};
+        for (let i = 0; i < length; i++) {
+            const key = read(r);
+            // Own property even for '__proto__', which would otherwise replace the prototype
+            Object.defineProperty(result, key, { value: read(r), enumerable: true, writable: true, configurable: true });
+        }
+        return result;
+    };
+
+    if (type === undefined) throw new RangeError('Unexpected end of MessagePack data');
+    if (type < 0x80) return type;
+    if (type < 0x90) return map(type & 0x0f);
+    if (type < 0xa0) return array(type & 0x0f);
+    if (type < 0xc0) return str(type & 0x1f);
+    if (type >= 0xe0) return type - 0x100;
+
+    switch (type) {
+        case 0xc0: return null;
+        case 0xc2: return false;
+        case 0xc3: return true;
+        case 0xc4: return bin(view.getUint8(take(1)));
+        case 0xc5: return bin(view.getUint16(take(2)));
+        case 0xc6: return bin(view.getUint32(take(4)));
+        case 0xca: return view.getFloat32(take(4));
+        case 0xcb: return view.getFloat64(take(8));
+        case 0xcc: return view.getUint8(take(1));
+        case 0xcd: return view.getUint16(take(2));
+        case 0xce: return view.getUint32(take(4));
+        case 0xcf: return Number(view.getBigUint64(take(8)));
+        case 0xd0: return view.getInt8(take(1));
+        case 0xd1: return view.getInt16(take(2));
+        case 0xd2: return view.getInt32(take(4));
+        case 0xd3: return Number(view.getBigInt64(take(8)));
+        case 0xd9: return str(view.getUint8(take(1)));
+        case 0xda: return str(view.getUint16(take(2)));
+        case 0xdb: return str(view.getUint32(take(4)));
+        case 0xdc: return array(view.getUint16(take(2)));
+        case 0xdd: return array(view.getUint32(take(4)));
+        case 0xde: return map(view.getUint16(take(2)));
+        case 0xdf: return map(view.getUint32(take(4)));
+        default: throw new TypeError(`Unsupported MessagePack type: 0x${type.toString(16)}`);
+    }
+}
+
+const msgpack = {
+    name: 'msgpack',
+    binary: true,
+    encode(message) {
+        const w = new Writer();
+        write(w, message);
+        return w.result();
+    },
+    decode(data) {
+        if (typeof data === 'string') throw new TypeError('MessagePack frames must be binary');
+        const bytes = toBytes(data);
+        return read({ bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), pos: 0 });
+    }
+};
+
+// ============ NEGOTIATION ============
+
+const builtin = { json, msgpack };
+
+/**
+ * Resolve codec names or objects into a list of codecs
+ */
+function resolveCodecs(codecs) {
+    const list = Array.isArray(codecs) ? codecs : [codecs];
+    return list.map(codec => {
+        if (typeof codec !== 'string') return codec;
+        if (!builtin[codec]) throw new Error(`Unknown codec: ${codec}`);
+        return builtin[codec];
+    });
+}
+
+function codecProtocol(codec) {
+    return 'emit.' + codec.name;
+}
+
+/**
+ * Pick a codec by negotiated subprotocol, JSON when there is none
+ */
+function codecForProtocol(codecs, protocol) {
+    return codecs.find(codec => codecProtocol(codec) === protocol) || json;
+}
+
+module.exports = { json, msgpack, resolveCodecs, codecProtocol, codecForProtocol };
@@ -0,0 +1,29 @@
+/**
+ * emit.gg - Errors
+ * Typed error carried by ack error frames:
+ *   { type: 'ack', ackId, error: { code, message, details } }
+ */
+
+class EmitError extends Error {
+    constructor(code, message, details) {
+        super(message || code);
+        this.name = 'EmitError';
+        this.code = code;
+        if (details !== undefined) this.details = details;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, details: this.details };
+    }
+
+    /**
+     * Build an EmitError from the error field of an ack frame
+     */
+    static from(error) {
+        if (error instanceof EmitError) return error;
+        if (typeof error === 'string') return new EmitError('ERROR', error);
+        return new EmitError(error.code || 'ERROR', error.message, error.details);
+    }
+}
+
+module.exports = { EmitError };
@@ -0,0 +1,114 @@
+/**
+ * emit.gg - Room History
+ * Stores for broadcasts recorded by Room#history
+ *
+ * A store keeps entries { id, event, data, at } per room:
+ *   append(room, { event, data, at }, { limit, ttl }) -> id
+ *   range(room, { since, limit, ttl }) -> newest `limit` entries after `since`, oldest first
+ *   clear(room)
+ * All methods may return promises. Ids are '<ms>-<seq>' strings that sort
+ * like Redis stream IDs; `since` is an id or a timestamp in ms.
+ */
+
+function parseId(id) {
+    if (typeof id === 'number') return [id, Infinity]; // After everything in that ms
+    const [ms, seq] = String(id).split('-');
+    return [Number(ms) || 0, Number(seq) || 0];
+}
+
+// True when id comes after the cursor
+function isAfter(id, cursor) {
+    const [ms, seq] = parseId(id);
+    const [cursorMs, cursorSeq] = parseId(cursor);
+    return ms > cursorMs || (ms === cursorMs && seq > cursorSeq);
+}
+
+/**
+ * In-process history, the default
+ */
+class MemoryHistoryStore {
+    constructor() {
+        this.rooms = new Map(); // room -> { entries, lastMs, seq }
+    }
+
+    append(room, { event, data, at }, { limit, ttl } = {}) {
+        if (!this.rooms.has(room)) this.rooms.set(room, { entries: [], lastMs: 0, seq: 0 });
+        const log = this.rooms.get(room);
+
+        // Increasing ids even when the clock stands still or goes back
+        const ms = Math.max(at, log.lastMs);
+        log.seq = ms === log.lastMs ? log.seq + 1 : 0;
+        log.lastMs = ms;
+
+        const id = `${ms}-${log.seq}`;
+        log.entries.push({ id, event, data, at });
+        this._trim(log, limit, ttl);
+        return id;
+    }
+
+    range(room, { since, limit, ttl } = {}) {
+        const log = this.rooms.get(room);
+        if (!log) return [];
+
+        this._trim(log, Infinity, ttl);
+        const entries = since === undefined || since === null
+            ? log.entries
+            : log.entries.filter(entry => isAfter(entry.id, since));
+        return limit ? entries.slice(-limit) : entries.slice();
+    }
+
+    clear(room) {
+        this.rooms.delete(room);
+    }
+
+    _trim(log, limit, ttl) {
+        const entries = log.entries;
+        const cutoff = ttl ? Date.now() - ttl : -Infinity;
+        while (entries.length > (limit || Infinity) || (entries.length && entries[0].at < cutoff)) {
+            entries.shift();
+        }
+    }
+}
+
+/**
+ * History shared by every server using the same Redis (ioredis client)
+ * One stream per room, so ids are Redis stream IDs.
+ */
+class RedisHistoryStore {
+    constructor(redis, { prefix = 'emit.gg:history' } = {}) {
+        this.redis = redis;
+        this.prefix = prefix;
+    }
+
+    async append(room, { event, data, at }, { limit, ttl } = {}) {
+        const key = `${this.prefix}:${room}`;
+        const trim = limit ? ['MAXLEN', '~', limit] : [];
+        const id = await this.redis.xadd(key, ...trim, '*', 'event', event, 'data', JSON.stringify(data), 'at', at);
+        if (ttl) await this.redis.pexpire(key, ttl);
+        return id;
+    }
+
+    async range(room, { since, limit, ttl } = {}) {
+        // Exclusive after an id, from the next ms after a timestamp
+        const start = since === undefined || since === null
+            ? '-'
+            : typeof since === 'number' ? String(since + 1) : '(' + since;
+        const count = limit ? ['COUNT', limit] : [];
+        const entries = await this.redis.xrevrange(`${this.prefix}:${room}`, '+', start, ...count);
+
+        const cutoff = ttl ? Date.now() - ttl : -Infinity;
+        return entries.reverse()
+            .map(([id, fields]) => {
+                const entry = {};
+                for (let i = 0; i < fields.length; i += 2) entry[fields[i]] = fields[i + 1];
+                return { id, event: entry.event, data: JSON.parse(entry.data), at: Number(entry.at) };
+            })
+            .filter(entry => entry.at >= cutoff);
+    }
+
+    async clear(room) {
+        await this.redis.del(`${this.prefix}:${room}`);
+    }
+}
+
+module.exports = { MemoryHistoryStore, RedisHistoryStore };
@@ -3,16 +3,30 @@
  * Clean WebSocket framework
  */
 
-const { App, Socket, Namespace } = require('./server');
+const { App, Socket, Namespace, Room } = require('./server');
 const { Client, ClientNamespace } = require('./client');
+const { validate, ValidationError } = require('./validate');
+const { EmitError } = require('./errors');
+const codecs = require('./codecs');
+const { CLOSE_CODES } = require('./protocol');
 
 module.exports = {
     // Server
     App,
     Socket,
     Namespace,
+    Room,
 
     // Client
     Client,
-    ClientNamespace
+    ClientNamespace,
+
+    // Errors and validation
+    EmitError,
+    validate,
+    ValidationError,
+    CLOSE_CODES,
+
+    // Codecs
+    codecs: { json: codecs.json, msgpack: codecs.msgpack }
 };
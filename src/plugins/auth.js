@@ -0,0 +1,228 @@
+/**
+ * Auth Plugin
+ * JWT (HS256/HS384/HS512) authentication with Node's crypto, no dependencies
+ *
+ * Verifies the token before the upgrade (via app.authenticate), sets the
+ * claims as `socket.user`, maps them to *tags and socket.data, and lets
+ * long-lived sockets renew their token in-band:
+ *
+ *   await client.request('/@auth/refresh', { token: newToken }); // On the client
+ *
+ * Usage:
+ *   const auth = require('emit.gg/plugins/auth');
+ *
+ *   app.plugin(auth({ secret: process.env.JWT_SECRET, audience: 'chat' }));
+ */
+
+const crypto = require('crypto');
+const { EmitError } = require('../errors');
+const { CLOSE_CODES } = require('../protocol');
+
+const ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function fromBase64url(segment) {
+    return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(fromBase64url(segment).toString('utf8'));
+}
+
+// Rejects the upgrade with 401, or fails a refresh request with UNAUTHORIZED
+function unauthorized(message) {
+    const err = new EmitError('UNAUTHORIZED', message);
+    err.status = 401;
+    return err;
+}
+
+/**
+ * Sign claims into an HMAC JWT
+ */
+function sign(claims, secret, { algorithm = 'HS256', expiresIn } = {}) {
+    const hash = ALGORITHMS[algorithm];
+    if (!hash) throw new Error(`Unsupported algorithm: ${algorithm}`);
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { iat: now, ...claims };
+    if (expiresIn !== undefined) payload.exp = now + expiresIn;
+
+    const signed = base64url(JSON.stringify({ alg: algorithm, typ: 'JWT' })) + '.' + base64url(JSON.stringify(payload));
+    const signature = crypto.createHmac(hash, secret).update(signed).digest();
+    return signed + '.' + base64url(signature);
+}
+
+/**
+ * Verify an HMAC JWT and return its claims
+ * Checks the signature, exp, nbf, and aud/iss when configured.
+ * Throws an EmitError with code UNAUTHORIZED otherwise.
+ */
+function verify(token, secret, options = {}) {
+    const { algorithms = Object.keys(ALGORITHMS), audience, issuer, clockTolerance = 0 } = options;
+
+    if (typeof token !== 'string') throw unauthorized('Missing token');
+
+    const parts = token.split('.');
+    if (parts.length !== 3) throw unauthorized('Malformed token');
+
+    let header, claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch (err) {
+        throw unauthorized('Malformed token');
+    }
+
+    // Only HMAC algorithms we were told to accept; never 'none'
+    const hash = algorithms.includes(header.alg) && ALGORITHMS[header.alg];
+    if (!hash) throw unauthorized(`Unsupported algorithm: ${header.alg}`);
+
+    const expected = crypto.createHmac(hash, secret).update(parts[0] + '.' + parts[1]).digest();
+    const actual = fromBase64url(parts[2]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw unauthorized('Invalid signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now >= claims.exp + clockTolerance) {
+        throw unauthorized('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - clockTolerance) {
+        throw unauthorized('Token not yet valid');
+    }
+
+    if (audience !== undefined) {
+        const wanted = Array.isArray(audience) ? audience : [audience];
+        const actualAudience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!actualAudience.some(aud => wanted.includes(aud))) {
+            throw unauthorized('Invalid audience');
+        }
+    }
+
+    if (issuer !== undefined) {
+        const issuers = Array.isArray(issuer) ? issuer : [issuer];
+        if (!issuers.includes(claims.iss)) throw unauthorized('Invalid issuer');
+    }
+
+    return claims;
+}
+
+// Bearer token from the Authorization header, or ?token= in the URL
+function defaultToken(info) {
+    const header = info.headers && info.headers.authorization;
+    if (header && header.startsWith('Bearer ')) return header.slice(7);
+    return info.query && info.query.token;
+}
+
+module.exports = ({
+    secret,
+    algorithms,
+    audience,
+    issuer,
+    clockTolerance,
+    token: getToken = defaultToken,
+    tags = 'roles',
+    data = { userId: 'sub' },
+    event = '/@auth/refresh',
+    expire = true
+} = {}) => {
+    if (!secret) {
+        throw new Error('Auth plugin requires a secret');
+    }
+
+    const verifyOptions = { algorithms, audience, issuer, clockTolerance };
+
+    // ============ CLAIM MAPPING ============
+
+    const tagsFor = (claims) => {
+        const names = typeof tags === 'function' ? tags(claims) : claims[tags];
+        if (!names) return [];
+        return Array.isArray(names) ? names : [names];
+    };
+
+    const dataFor = (claims) => {
+        if (typeof data === 'function') return data(claims) || {};
+
+        const result = {};
+        Object.entries(data).forEach(([key, claim]) => {
+            if (claims[claim] !== undefined) result[key] = claims[claim];
+        });
+        return result;
+    };
+
+    return (app) => {
+        const applied = new WeakMap(); // socket -> tags this plugin added
+        const timers = new WeakMap();  // socket -> expiry timer
+
+        // Swap the claims on a socket: old tags out, new tags and data in
+        const apply = (socket, claims) => {
+            (applied.get(socket) || []).forEach(tag => socket.untag(tag));
+
+            const added = tagsFor(claims).map(String);
+            added.forEach(tag => socket.tag(tag));
+            applied.set(socket, added);
+
+            Object.assign(socket.data, dataFor(claims));
+            socket.user = claims;
+
+            if (expire) schedule(socket, claims);
+        };
+
+        // Close the socket when its token runs out without a refresh
+        const schedule = (socket, claims) => {
+            clearTimeout(timers.get(socket));
+            timers.delete(socket);
+            if (typeof claims.exp !== 'number') return;
+
+            const delay = claims.exp * 1000 - Date.now();
+            if (delay > 0x7fffffff) return; // Beyond setTimeout's range
+
+            const timer = setTimeout(() => {
+                if (socket.user === claims && socket.connected) {
+                    socket.disconnect({ code: CLOSE_CODES.TOKEN_EXPIRED, reason: 'Token expired' });
+                }
+            }, Math.max(delay, 0));
+            timer.unref?.();
+            timers.set(socket, timer);
+        };
+
+        // ============ UPGRADE ============
+
+        app.authenticate((info) => verify(getToken(info), secret, verifyOptions));
+
+        const originalSetup = app._setupSocket.bind(app);
+
+        app._setupSocket = (socket) => {
+            if (socket.user) apply(socket, socket.user);
+            return originalSetup(socket);
+        };
+
+        // ============ REFRESH ============
+
+        app.on(event, (req) => {
+            let claims;
+            try {
+                claims = verify(req.data.token, secret, verifyOptions);
+            } catch (err) {
+                return req.fail(err.code, err.message);
+            }
+
+            // Same subject only; a different user must reconnect
+            if (req.socket.user && req.socket.user.sub !== claims.sub) {
+                return req.fail('UNAUTHORIZED', 'Token subject does not match');
+            }
+
+            apply(req.socket, claims);
+            req.reply({ exp: claims.exp });
+        });
+    };
+};
+
+module.exports.sign = sign;
+module.exports.verify = verify;
@@ -1,33 +1,38 @@
 /**
  * Heartbeat Plugin
- * Keeps connections alive with ping/pong
+ * Keeps connections alive with ping/pong and measures round-trip time
+ *
+ * Uses the transport adapter's protocol ping when it has one, otherwise
+ * ping frames. Sockets that miss a pong are terminated on the next tick.
+ * The measured round-trip time is available as `socket.latency`.
  */
 module.exports = ({ interval = 30000 } = {}) => {
     return (app) => {
-        app.on('@connection', ({ socket }) => {
-            let isAlive = true;
+        const timer = setInterval(() => {
+            app.sockets.forEach(socket => {
+                // Waiting for a resume, nothing to ping
+                if (!socket.connected) return;
 
-            socket.ws.on('pong', () => {
-                isAlive = true;
-            });
-
-            const timer = setInterval(() => {
-                if (!isAlive) {
-                    socket.ws.terminate();
+                if (!socket.alive) {
+                    socket.terminate();
                     return;
                 }
-                isAlive = false;
-                socket.ws.ping();
+                socket.alive = false;
+                socket.ping();
 
                 const pingEntry = app.handlers.get('@ping');
                 if (pingEntry) {
-                    pingEntry.handler({ socket, app });
+                    pingEntry.handler({ socket, app, latency: socket.latency });
                 }
-            }, interval);
-
-            socket.ws.on('close', () => {
-                clearInterval(timer);
             });
-        });
+        }, interval);
+        timer.unref?.();
+
+        const originalClose = app.close.bind(app);
+
+        app.close = (...args) => {
+            clearInterval(timer);
+            return originalClose(...args);
+        };
     };
 };
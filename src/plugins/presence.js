@@ -0,0 +1,399 @@
+/**
+ * Presence Plugin
+ * Who is in a room, with state each member supplies (status, cursor, name)
+ *
+ * A socket joining a tracked room gets a snapshot of the members, the
+ * others get join/leave/update diffs:
+ *
+ *   '/@presence/snapshot'  { room, members: [{ id, state }] }
+ *   '/@presence/diff'      { room, type: 'join' | 'leave' | 'update', id, state }
+ *
+ * Members are identified by key (socket.data.userId, else the socket ID),
+ * so several tabs of one user are one member. Leaves caused by a dropped
+ * connection wait `debounce` ms, and a quick reconnect hides the flap. That
+ * needs a key that survives the reconnect: a userId, or session recovery.
+ *
+ * Usage:
+ *   const presence = require('emit.gg/plugins/presence');
+ *
+ *   app.plugin(presence({
+ *       rooms: (room) => room.startsWith('#doc:'),
+ *       state: (socket) => ({ name: socket.user.name })
+ *   }));
+ *
+ *   // Client
+ *   await client.request('/@presence/update', { room: '#doc:1', state: { cursor: 42 } });
+ *
+ * With the Redis adapter installed, members are shared through Redis.
+ */
+
+const SNAPSHOT = '/@presence/snapshot';
+const DIFF = '/@presence/diff';
+
+// ============ STORES ============
+
+/**
+ * In-process members
+ * join/leave count connections per member, the first join and the last
+ * leave return true. All methods may return promises.
+ */
+class MemoryStore {
+    constructor() {
+        this.rooms = new Map(); // room -> Map(id -> { state, count })
+    }
+
+    join(room, id, state) {
+        if (!this.rooms.has(room)) this.rooms.set(room, new Map());
+        const members = this.rooms.get(room);
+
+        const member = members.get(id);
+        if (member) {
+            member.count++;
+            return { first: false, state: member.state };
+        }
+        members.set(id, { state, count: 1 });
+        return { first: true, state };
+    }
+
+    leave(room, id) {
+        const members = this.rooms.get(room);
+        const member = members && members.get(id);
+        if (!member) return false;
+
+        if (--member.count > 0) return false;
+        members.delete(id);
+        if (members.size === 0) this.rooms.delete(room);
+        return true;
+    }
+
+    // Merge into the member's state, null when it isn't a member
+    update(room, id, state) {
+        const members = this.rooms.get(room);
+        const member = members && members.get(id);
+        if (!member) return null;
+
+        member.state = { ...member.state, ...state };
+        return member.state;
+    }
+
+    list(room) {
+        const members = this.rooms.get(room) || new Map();
+        return [...members].map(([id, { state }]) => ({ id, state }));
+    }
+}
+
+// Keys: KEYS[1] member states, KEYS[2] set of instances with members in the room.
+// Each instance counts its own connections in '<owners prefix><instanceId>', a hash
+// with a TTL the instance keeps refreshing, so a crashed server's members expire.
+
+// Count a connection in, store the state when no live instance had the member
+const JOIN_SCRIPT = `
+local first = 1
+for _, instance in ipairs(redis.call('SMEMBERS', KEYS[2])) do
+    if redis.call('HEXISTS', ARGV[5] .. instance, ARGV[1]) == 1 then first = 0 end
+end
+local owners = ARGV[5] .. ARGV[3]
+redis.call('HINCRBY', owners, ARGV[1], 1)
+redis.call('PEXPIRE', owners, ARGV[4])
+redis.call('SADD', KEYS[2], ARGV[3])
+if first == 1 or redis.call('HEXISTS', KEYS[1], ARGV[1]) == 0 then
+    redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+end
+return { first, redis.call('HGET', KEYS[1], ARGV[1]) }
+`;
+
+// Count a connection out, remove the member when no instance has it anymore
+const LEAVE_SCRIPT = `
+local owners = ARGV[3] .. ARGV[2]
+if redis.call('HINCRBY', owners, ARGV[1], -1) <= 0 then
+    redis.call('HDEL', owners, ARGV[1])
+end
+for _, instance in ipairs(redis.call('SMEMBERS', KEYS[2])) do
+    if redis.call('HEXISTS', ARGV[3] .. instance, ARGV[1]) == 1 then return 0 end
+end
+redis.call('HDEL', KEYS[1], ARGV[1])
+return 1
+`;
+
+// Forget instances whose owners hash expired and the members only they had
+const SWEEP_SCRIPT = `
+local live = {}
+for _, instance in ipairs(redis.call('SMEMBERS', KEYS[2])) do
+    if redis.call('EXISTS', ARGV[1] .. instance) == 1 then
+        table.insert(live, ARGV[1] .. instance)
+    else
+        redis.call('SREM', KEYS[2], instance)
+    end
+end
+local gone = {}
+for _, id in ipairs(redis.call('HKEYS', KEYS[1])) do
+    local owned = false
+    for _, key in ipairs(live) do
+        if redis.call('HEXISTS', key, id) == 1 then owned = true break end
+    end
+    if not owned then
+        redis.call('HDEL', KEYS[1], id)
+        table.insert(gone, id)
+    end
+end
+return gone
+`;
+
+/**
+ * Members shared by every server using the same Redis (ioredis client)
+ * Each server refreshes the TTL on its own connection counts every ttl / 3 ms;
+ * sweep() drops members of servers that stopped doing so.
+ */
+class RedisStore {
+    constructor(redis, { prefix = 'emit.gg:presence', instanceId, ttl = 30000 } = {}) {
+        this.redis = redis;
+        this.prefix = prefix;
+        this.instanceId = instanceId || Math.random().toString(36).slice(2, 10);
+        this.ttl = ttl;
+        this.rooms = new Set(); // Rooms this instance holds members in, kept alive
+        this.timer = null;
+    }
+
+    _keys(room) {
+        return [`${this.prefix}:${room}`, `${this.prefix}:${room}:instances`];
+    }
+
+    _owners(room) {
+        return `${this.prefix}:${room}:owners:`;
+    }
+
+    _keepAlive(room) {
+        this.rooms.add(room);
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.rooms.forEach(name => {
+                this.redis.pexpire(this._owners(name) + this.instanceId, this.ttl)
+                    .then(alive => { if (alive === 0) this.rooms.delete(name); })
+                    .catch(err => console.error('Presence store failed:', err.message));
+            });
+        }, Math.ceil(this.ttl / 3));
+        this.timer.unref?.();
+    }
+
+    async join(room, id, state) {
+        this._keepAlive(room);
+        const [first, stored] = await this.redis.eval(JOIN_SCRIPT, 2, ...this._keys(room),
+            id, JSON.stringify(state), this.instanceId, this.ttl, this._owners(room));
+        return { first: first === 1, state: JSON.parse(stored) };
+    }
+
+    async leave(room, id) {
+        return (await this.redis.eval(LEAVE_SCRIPT, 2, ...this._keys(room), id, this.instanceId, this._owners(room))) === 1;
+    }
+
+    // Member IDs that were dropped because their servers are gone
+    async sweep(room) {
+        return this.redis.eval(SWEEP_SCRIPT, 2, ...this._keys(room), this._owners(room));
+    }
+
+    async update(room, id, state) {
+        const [key] = this._keys(room);
+        const stored = await this.redis.hget(key, id);
+        if (!stored) return null;
+
+        const merged = { ...JSON.parse(stored), ...state };
+        await this.redis.hset(key, id, JSON.stringify(merged));
+        return merged;
+    }
+
+    async list(room) {
+        const [key] = this._keys(room);
+        const members = await this.redis.hgetall(key);
+        return Object.entries(members).map(([id, state]) => ({ id, state: JSON.parse(state) }));
+    }
+
+    close() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// ============ PLUGIN ============
+
+module.exports = ({
+    rooms,
+    key = (socket) => socket.data.userId || socket.id,
+    state: initialState = () => ({}),
+    debounce = 5000,
+    event = '/@presence/update',
+    store: customStore
+} = {}) => {
+    const tracked = typeof rooms === 'function'
+        ? rooms
+        : Array.isArray(rooms)
+            ? (room) => rooms.includes(room)
+            : () => true;
+
+    return (app) => {
+        let store = customStore || null;
+        const pending = new Map(); // room + id -> debounced leaves, newest last
+
+        // Resolved on first use, so the Redis adapter may be installed after this plugin
+        const getStore = () => {
+            if (!store) {
+                store = app.adapter && app.adapter.redis
+                    ? new RedisStore(app.adapter.redis, { prefix: `${app.adapter.prefix}:presence`, instanceId: app.adapter.instanceId })
+                    : new MemoryStore();
+            }
+            return store;
+        };
+
+        const failed = (err) => console.error('Presence store failed:', err.message);
+
+        const memberId = (socket) => String(key(socket));
+
+        // ============ JOIN / LEAVE ============
+
+        const join = async (room, socket) => {
+            const id = memberId(socket);
+
+            // Back before the debounced leave ran: the member never left
+            const leaves = pending.get(room + '\0' + id);
+            if (leaves) {
+                clearTimeout(leaves.pop().timer);
+                if (leaves.length === 0) pending.delete(room + '\0' + id);
+            } else {
+                const result = await getStore().join(room, id, initialState(socket) || {});
+                if (result.first) {
+                    app.broadcast(DIFF, { data: { room, type: 'join', id, state: result.state }, to: room, except: socket.id, history: false });
+                }
+            }
+
+            // Members of servers that died without leaving
+            if (getStore().sweep) {
+                const gone = await getStore().sweep(room);
+                gone.forEach(id => app.broadcast(DIFF, { data: { room, type: 'leave', id }, to: room, history: false }));
+            }
+
+            const members = await getStore().list(room);
+            if (socket.rooms.has(room)) {
+                socket.emit(SNAPSHOT, { room, members });
+            }
+        };
+
+        const leave = async (room, id) => {
+            if (await getStore().leave(room, id)) {
+                app.broadcast(DIFF, { data: { room, type: 'leave', id }, to: room, history: false });
+            }
+        };
+
+        // Dropped connections leave after the debounce, explicit leaves right away
+        const scheduleLeave = (room, socket) => {
+            const id = memberId(socket);
+            if (socket.connected || debounce <= 0) {
+                leave(room, id).catch(failed);
+                return;
+            }
+
+            const entry = {
+                run: () => {
+                    const leaves = pending.get(room + '\0' + id) || [];
+                    leaves.splice(leaves.indexOf(entry), 1);
+                    if (leaves.length === 0) pending.delete(room + '\0' + id);
+                    return leave(room, id).catch(failed);
+                }
+            };
+            entry.timer = setTimeout(entry.run, debounce);
+            entry.timer.unref?.();
+
+            if (!pending.has(room + '\0' + id)) pending.set(room + '\0' + id, []);
+            pending.get(room + '\0' + id).push(entry);
+        };
+
+        const originalJoin = app._joinRoom.bind(app);
+
+        app._joinRoom = (room, socket) => {
+            originalJoin(room, socket);
+            if (tracked(room)) join(room, socket).catch(failed);
+        };
+
+        const originalLeave = app._leaveRoom.bind(app);
+
+        app._leaveRoom = (room, socket) => {
+            const member = app.rooms.has(room) && app.rooms.get(room).has(socket);
+            originalLeave(room, socket);
+            if (member && tracked(room)) scheduleLeave(room, socket);
+        };
+
+        // ============ STATE ============
+
+        /**
+         * Merge state into a member's entry in one room, or every tracked
+         * room the socket is in, and send the update diff. Resolves to the
+         * { room: state } that changed.
+         */
+        const update = async (socket, state, room) => {
+            const id = memberId(socket);
+            const targets = room ? [room] : [...socket.rooms].filter(tracked);
+            const updated = {};
+
+            for (const name of targets) {
+                if (!socket.rooms.has(name) || !tracked(name)) continue;
+
+                const merged = await getStore().update(name, id, state);
+                if (!merged) continue;
+
+                updated[name] = merged;
+                app.broadcast(DIFF, { data: { room: name, type: 'update', id, state: merged }, to: name, except: socket.id, history: false });
+            }
+            return updated;
+        };
+
+        if (event) {
+            app.on(event, async (req) => {
+                const { room, state } = req.data;
+                if (!state || typeof state !== 'object') {
+                    return req.fail('INVALID_STATE', 'state must be an object');
+                }
+
+                const name = room && !room.startsWith('#') ? '#' + room : room;
+                if (name && !req.socket.rooms.has(name)) {
+                    return req.fail('NOT_IN_ROOM', `Not in room ${name}`);
+                }
+
+                try {
+                    req.reply(await update(req.socket, state, name));
+                } catch (err) {
+                    failed(err);
+                    req.fail('INTERNAL_ERROR', 'Presence store failed');
+                }
+            });
+        }
+
+        app.presence = {
+            update,
+
+            // Members of a room: [{ id, state }]
+            list: (room) => {
+                if (!room.startsWith('#')) room = '#' + room;
+                return Promise.resolve(getStore().list(room));
+            }
+        };
+
+        // ============ SHUTDOWN ============
+
+        const originalClose = app.close.bind(app);
+
+        // Run the debounced leaves now, nobody is coming back to this server
+        app.close = async (options) => {
+            await originalClose(options);
+
+            const leaves = [];
+            pending.forEach(entries => entries.slice().forEach(entry => {
+                clearTimeout(entry.timer);
+                leaves.push(entry.run());
+            }));
+            await Promise.all(leaves);
+            if (store && store.close) store.close();
+        };
+    };
+};
+
+module.exports.MemoryStore = MemoryStore;
+module.exports.RedisStore = RedisStore;
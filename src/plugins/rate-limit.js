@@ -0,0 +1,241 @@
+/**
+ * Rate Limit Plugin
+ * Token-bucket flood protection for incoming events
+ *
+ * Each rule is a bucket of `burst` tokens refilled at `limit` per `interval`.
+ * Buckets are keyed by socket, IP, tag, event or a custom function, and
+ * rules can be scoped to an event pattern or a tag. When a bucket is empty
+ * the event is dropped, answered with RATE_LIMITED, or (after repeated
+ * violations) the socket is disconnected.
+ *
+ * Usage:
+ *   const rateLimit = require('emit.gg/plugins/rate-limit');
+ *
+ *   // 20 events per second per socket, for every event
+ *   app.plugin(rateLimit({ limit: 20, interval: 1000 }));
+ *
+ *   // Per route
+ *   app.on('/search', rateLimit.limit({ limit: 2, key: 'ip' }), handler);
+ *
+ * Buckets live in memory unless a shared `store` is given, e.g.
+ * rateLimit.RedisStore for limits that hold across servers.
+ */
+
+const { Router } = require('../router');
+const { CLOSE_CODES } = require('../protocol');
+
+let nextLimiterId = 0;
+
+// ============ STORES ============
+
+/**
+ * In-process buckets
+ * consume(key, rule) -> { allowed, retryAfter }
+ */
+class MemoryStore {
+    constructor() {
+        this.buckets = new Map(); // key -> { tokens, at }
+        this._calls = 0;
+    }
+
+    consume(key, { limit, interval, burst }) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key) || { tokens: burst, at: now };
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.at) * limit / interval);
+        bucket.at = now;
+        this.buckets.set(key, bucket);
+
+        if (++this._calls % 1000 === 0) this._sweep(now);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, retryAfter: 0 };
+        }
+        return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) * interval / limit) };
+    }
+
+    // Forget buckets idle for an hour, they would be full again by now
+    _sweep(now) {
+        this.buckets.forEach((bucket, key) => {
+            if (now - bucket.at > 60 * 60 * 1000) this.buckets.delete(key);
+        });
+    }
+}
+
+// Refill and take one token atomically, using Redis' clock so servers agree
+const CONSUME_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local interval = tonumber(ARGV[2])
+local burst = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+local tokens = tonumber(bucket[1]) or burst
+local at = tonumber(bucket[2]) or now
+tokens = math.min(burst, tokens + (now - at) * limit / interval)
+
+local allowed = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst * interval / limit) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Buckets shared by every server using the same Redis (ioredis client)
+ */
+class RedisStore {
+    constructor(redis, { prefix = 'emit.gg:ratelimit' } = {}) {
+        this.redis = redis;
+        this.prefix = prefix;
+    }
+
+    async consume(key, { limit, interval, burst }) {
+        const [allowed, tokens] = await this.redis.eval(
+            CONSUME_SCRIPT, 1, `${this.prefix}:${key}`, limit, interval, burst
+        );
+
+        if (allowed === 1) return { allowed: true, retryAfter: 0 };
+        return { allowed: false, retryAfter: Math.ceil((1 - Number(tokens)) * interval / limit) };
+    }
+}
+
+// ============ LIMITER ============
+
+const KEYS = {
+    socket: (req) => req.socket.id,
+    event: (req) => `${req.socket.id}:${req.event}`
+};
+
+// The connection's address; X-Forwarded-For is client-supplied, so only behind trustProxy
+const ipKey = (trustProxy) => (req) => {
+    const info = req.socket.info || {};
+    return (trustProxy && info.ip) || info.address || req.socket.id;
+};
+
+function normalizeRule(rule, defaults, index, limiterId) {
+    const limit = rule.limit || defaults.limit || 10;
+    const key = rule.key || defaults.key || 'socket';
+
+    let matcher = null;
+    if (rule.event) {
+        matcher = new Router().add(rule.event, rule);
+    }
+
+    return {
+        // Shared stores need the same name on every server
+        name: rule.name || `${limiterId}:${rule.event || '*'}:${index}`,
+        limit,
+        interval: rule.interval || defaults.interval || 1000,
+        burst: rule.burst || defaults.burst || limit,
+        tag: rule.tag ? (rule.tag.startsWith('*') ? rule.tag : '*' + rule.tag) : null,
+        matcher,
+        key: typeof key === 'function'
+            ? key
+            : key === 'tag' ? () => rule.tag
+                : key === 'ip' ? ipKey(rule.trustProxy ?? defaults.trustProxy) : KEYS[key],
+        action: rule.action || defaults.action || 'error',
+        maxViolations: rule.maxViolations || defaults.maxViolations || 10,
+        violationWindow: rule.violationWindow || defaults.violationWindow || 60000
+    };
+}
+
+/**
+ * Build the rate-limiting middleware
+ * Options are a single rule or { rules: [...] } with shared defaults.
+ */
+function createLimiter(options = {}) {
+    const limiterId = options.name || `rl${nextLimiterId++}`;
+    const rules = (options.rules || [options]).map((rule, i) => normalizeRule(rule, options, i, limiterId));
+    const store = options.store || new MemoryStore();
+    const { onLimit } = options;
+
+    if (rules.some(rule => !rule.key)) {
+        throw new Error('Unknown rate limit key, expected socket, ip, tag, event or a function');
+    }
+
+    const violations = new WeakMap(); // socket -> { count, since }
+
+    const violate = (req, rule, retryAfter) => {
+        const { socket } = req;
+
+        if (onLimit) onLimit(req, { rule: rule.name, action: rule.action, retryAfter });
+
+        // Nothing will answer a dropped request, so it must not count as in flight
+        if (rule.action === 'drop') return req.drop();
+
+        req.fail('RATE_LIMITED', `Rate limit exceeded: ${req.event}`, { retryAfter });
+
+        if (rule.action !== 'disconnect') return;
+
+        const now = Date.now();
+        let record = violations.get(socket);
+        if (!record || now - record.since > rule.violationWindow) {
+            record = { count: 0, since: now };
+            violations.set(socket, record);
+        }
+
+        if (++record.count >= rule.maxViolations && socket.connected) {
+            violations.delete(socket);
+            socket.disconnect({ code: CLOSE_CODES.RATE_LIMITED, reason: 'Rate limit exceeded' });
+        }
+    };
+
+    return (req, next) => {
+        const applicable = rules.filter(rule =>
+            (!rule.matcher || rule.matcher.match(req.event)) &&
+            (!rule.tag || req.socket.hasTag(rule.tag)));
+
+        // Take a token from each applicable bucket in turn; the first empty one wins.
+        // The promise is returned, so errors thrown further down after an async
+        // store answered reach @error instead of becoming unhandled rejections.
+        const check = (i) => {
+            if (i === applicable.length) return next();
+
+            const rule = applicable[i];
+            const decide = (result) => {
+                if (result.allowed) {
+                    return check(i + 1);
+                }
+                violate(req, rule, result.retryAfter);
+            };
+
+            let result;
+            try {
+                result = store.consume(`${rule.name}:${rule.key(req)}`, rule);
+            } catch (err) {
+                result = Promise.reject(err);
+            }
+
+            if (result && typeof result.then === 'function') {
+                // A failing store lets events through rather than blocking everyone
+                return result.then(decide, (err) => {
+                    console.error('Rate limit store failed:', err.message);
+                    return check(i + 1);
+                });
+            }
+            return decide(result);
+        };
+
+        return check(0);
+    };
+}
+
+module.exports = (options = {}) => {
+    const limiter = createLimiter(options);
+
+    return (app) => {
+        // A guard runs ahead of validation and all middleware, so every event is counted
+        app.guards.unshift(limiter);
+    };
+};
+
+module.exports.limit = createLimiter;
+module.exports.MemoryStore = MemoryStore;
+module.exports.RedisStore = RedisStore;
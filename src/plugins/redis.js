@@ -6,8 +6,11 @@
  *   - Cross-server broadcasts
  *   - Room membership sync
  *   - Direct messaging to specific sockets
+ *   - Broadcast requests answered by sockets on every server
+ *   - Remote socket operations (join, leave, tag, disconnect, request, fetch)
  *   - User presence tracking
  *   - Tags sync
+ *   - Shared room history (Redis streams)
  *
  * Usage:
  *   const Redis = require('ioredis');
@@ -18,6 +21,10 @@
  *   app.plugin(redisAdapter({ redis, pub, sub }));
  */
 
+const { MemoryHistoryStore, RedisHistoryStore } = require('../history');
+const { ReplyCollector } = require('../server');
+const { EmitError } = require('../errors');
+
 module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } = {}) => {
     if (!pub || !sub) {
         throw new Error('Redis adapter requires pub and sub clients');
@@ -26,10 +33,22 @@ module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } =
     return (app) => {
         const instanceId = Math.random().toString(36).slice(2, 10);
 
+        // For plugins that keep shared state, e.g. presence
+        app.adapter = { name: 'redis', redis, pub, sub, prefix, channel, instanceId };
+
+        // Room history in Redis too, unless the app brought its own store
+        if (redis && app.historyStore instanceof MemoryHistoryStore) {
+            app.historyStore = new RedisHistoryStore(redis, { prefix: `${prefix}:history` });
+        }
+
         // ============ SUBSCRIBE TO REDIS ============
 
         sub.subscribe(channel);
         sub.subscribe(`${channel}:direct`);
+        sub.subscribe(`${channel}:request`);
+        sub.subscribe(`${channel}:response`);
+        sub.subscribe(`${channel}:rpc`);
+        sub.subscribe(`${channel}:rpc:${instanceId}`);
 
         sub.on('message', async (ch, raw) => {
             try {
@@ -46,22 +65,36 @@ module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } =
                         socket.emit(event, data);
                     }
                 } else if (ch === channel) {
-                    // Broadcast
-                    const { event, data, to } = message;
-
-                    let targets;
-                    if (to && to.startsWith('#')) {
-                        targets = app.rooms.get(to) || new Set();
-                    } else if (to && to.startsWith('*')) {
-                        targets = new Set();
-                        app.sockets.forEach(socket => {
-                            if (socket.hasTag(to)) targets.add(socket);
-                        });
+                    // Broadcast to local sockets, with the same targeting and backpressure policies.
+                    // The sending server already recorded it in the room's history.
+                    const { event, data, to, except, volatile, coalesceKey } = message;
+                    originalBroadcast(event, { data, to, except, volatile, coalesceKey, history: false });
+                } else if (ch === `${channel}:request`) {
+                    if (message.type === 'cancel') {
+                        const controller = serving.get(message.requestId);
+                        if (controller) controller.abort();
                     } else {
-                        targets = app.sockets;
+                        serveRequest(message);
                     }
+                } else if (ch === `${channel}:response`) {
+                    // Only the server that sent the request knows it
+                    const collector = requests.get(message.requestId);
+                    if (!collector) return;
 
-                    targets.forEach(socket => socket.emit(event, data));
+                    if (message.type === 'targets') {
+                        collector.expect(message.socketIds);
+                    } else {
+                        const { socketId, data, error } = message;
+                        collector.report(socketId, data, error && new EmitError(error.code, error.message, error.details));
+                    }
+                } else if (ch === `${channel}:rpc`) {
+                    serveCall(message).catch((err) => {
+                        console.error('Remote operation failed:', err.message);
+                    });
+                } else if (ch === `${channel}:rpc:${instanceId}`) {
+                    // A reply addressed to this server
+                    const call = calls.get(message.callId);
+                    if (call) call.add(message);
                 }
             } catch (err) {
                 // Ignore malformed messages
@@ -73,10 +106,15 @@ module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } =
         const originalBroadcast = app.broadcast.bind(app);
 
         app.broadcast = (event, options = {}) => {
-            const { data = {}, to, local = false } = options;
+            const { data = {}, to, except, filter, local = false, volatile, coalesceKey, history } = options;
+
+            // Other servers get the selectors, a function can't travel with them
+            if (filter && !local) {
+                throw new Error('broadcast filter only works with local: true when using the Redis adapter');
+            }
 
             // Always do local broadcast
-            originalBroadcast(event, { data, to });
+            originalBroadcast(event, { data, to, except, filter, volatile, coalesceKey, history });
 
             // Publish to Redis unless local-only
             if (!local) {
@@ -84,13 +122,225 @@ module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } =
                     _instance: instanceId,
                     event,
                     data,
-                    to
+                    to,
+                    except,
+                    volatile,
+                    coalesceKey
                 }));
             }
 
             return app;
         };
 
+        // ============ BROADCAST REQUESTS ============
+
+        const requests = new Map(); // requestId -> ReplyCollector, for requests sent from here
+        const serving = new Map();  // requestId -> AbortController, for requests from other servers
+        let nextRequestId = 0;
+
+        const originalBroadcastRequest = app.broadcastRequest.bind(app);
+
+        app.broadcastRequest = (event, options = {}) => {
+            const { data = {}, to, except, filter, local = false, timeout = 10000 } = options;
+            if (local) return originalBroadcastRequest(event, options);
+
+            if (filter) {
+                throw new Error('broadcastRequest filter only works with local: true when using the Redis adapter');
+            }
+
+            // How many servers to hear from is known once Redis says how many got the request
+            const requestId = `${instanceId}:${++nextRequestId}`;
+            const collector = new ReplyCollector(options, null);
+            requests.set(requestId, collector);
+
+            collector.expect(app._requestEach(event, options, collector.controller.signal, collector.report));
+
+            pub.publish(`${channel}:request`, JSON.stringify({
+                _instance: instanceId, requestId, event, data, to, except, timeout
+            })).then(
+                receivers => collector.setServers(receivers),
+                (err) => {
+                    console.error('Broadcast request publish failed:', err.message);
+                    collector.setServers(1);
+                }
+            );
+
+            return collector.promise.then(result => {
+                requests.delete(requestId);
+
+                // Servers that haven't listed their targets yet may still be asking sockets
+                const unlisted = collector.servers === null || collector.listed < collector.servers;
+                if (result.pending.length > 0 || unlisted) {
+                    pub.publish(`${channel}:request`, JSON.stringify({ _instance: instanceId, type: 'cancel', requestId })).catch((err) => {
+                        console.error('Broadcast request cancel failed:', err.message);
+                    });
+                }
+                return result;
+            });
+        };
+
+        // Ask this server's sockets and send each answer back to the requesting server
+        const serveRequest = ({ requestId, event, data, to, except, timeout }) => {
+            const respond = (message) => pub.publish(`${channel}:response`, JSON.stringify({
+                _instance: instanceId, requestId, ...message
+            })).catch((err) => {
+                console.error('Broadcast request response failed:', err.message);
+            });
+
+            const controller = new AbortController();
+            serving.set(requestId, controller);
+            let left = 0;
+
+            const socketIds = app._requestEach(event, { data, to, except, timeout }, controller.signal, (socketId, res, err) => {
+                if (--left === 0) serving.delete(requestId);
+                if (controller.signal.aborted) return;
+
+                respond(err
+                    ? { type: 'result', socketId, error: { code: err.code || 'INTERNAL_ERROR', message: err.message, details: err.details } }
+                    : { type: 'result', socketId, data: res });
+            });
+
+            left = socketIds.length;
+            if (left === 0) serving.delete(requestId);
+            respond({ type: 'targets', socketIds });
+        };
+
+        // ============ REMOTE OPERATIONS ============
+
+        const calls = new Map(); // callId -> call waiting for other servers' replies
+        let nextCallId = 0;
+
+        // Errors travel as plain objects and become EmitErrors again
+        const toWire = (err) => ({ code: err.code || 'INTERNAL_ERROR', message: err.message, details: err.details });
+
+        // Run on the server that has the socket
+        const operations = {
+            join: (socket, { room }) => { socket.join(room); },
+            leave: (socket, { room }) => { socket.leave(room); },
+            tag: (socket, { tag }) => { socket.tag(tag); },
+            untag: (socket, { tag }) => { socket.untag(tag); },
+            disconnect: (socket, { code, reason }) => { socket.disconnect({ code, reason }); },
+            request: (socket, { event, data, timeout }) => socket.request(event, data, { timeout })
+        };
+
+        const describe = (socket) => ({
+            id: socket.id,
+            server: instanceId,
+            rooms: [...socket.rooms],
+            tags: [...socket.tags],
+            data: { ...socket.data },
+            connected: socket.connected
+        });
+
+        /**
+         * Ask every other server to run an operation
+         * Resolves to their replies once all answered, or sooner when until(reply)
+         * is true. Rejects with TIMEOUT when some server doesn't answer in time.
+         */
+        const callServers = (op, args, { timeout = 5000, until = () => false } = {}) => new Promise((resolve, reject) => {
+            const callId = `${instanceId}:${++nextCallId}`;
+            const replies = [];
+            let expected = null; // Known once Redis says how many servers got the call
+
+            const finish = (err) => {
+                clearTimeout(timer);
+                calls.delete(callId);
+                if (err) reject(err); else resolve(replies);
+            };
+
+            const timer = setTimeout(() => {
+                finish(new EmitError('TIMEOUT', `Servers did not answer: ${op}`, { expected, received: replies.length }));
+            }, timeout);
+
+            calls.set(callId, {
+                add: (reply) => {
+                    replies.push(reply);
+                    if (until(reply) || (expected !== null && replies.length >= expected)) finish();
+                }
+            });
+
+            pub.publish(`${channel}:rpc`, JSON.stringify({ _instance: instanceId, callId, op, args })).then(
+                (receivers) => {
+                    expected = receivers - 1; // This server is subscribed too
+                    if (calls.has(callId) && replies.length >= expected) finish();
+                },
+                finish
+            );
+        });
+
+        // Answer a call from another server, on that server's own channel
+        const serveCall = async ({ _instance: from, callId, op, args }) => {
+            const reply = (message) => pub.publish(`${channel}:rpc:${from}`, JSON.stringify({
+                _instance: instanceId, callId, ...message
+            })).catch((err) => {
+                console.error('Remote operation reply failed:', err.message);
+            });
+
+            if (op === 'fetchSockets') {
+                return reply({ result: app._select(args).map(describe) });
+            }
+
+            const socket = app.socketMap.get(args.socketId);
+            if (!socket) return reply({ found: false });
+            if (!operations[op]) return reply({ found: true, error: toWire(new EmitError('UNKNOWN_OPERATION', `Unknown operation: ${op}`)) });
+
+            try {
+                reply({ found: true, result: await operations[op](socket, args) });
+            } catch (err) {
+                reply({ found: true, error: toWire(err) });
+            }
+        };
+
+        // Run an operation on a socket, here or on whichever server has it
+        const onSocket = async (socketId, op, args, timeout) => {
+            const socket = app.socketMap.get(socketId);
+            if (socket) return operations[op](socket, args);
+
+            const replies = await callServers(op, { socketId, ...args }, { timeout, until: reply => reply.found });
+            const reply = replies.find(r => r.found);
+            if (!reply) throw new EmitError('NOT_FOUND', `Socket not found: ${socketId}`);
+            if (reply.error) throw new EmitError(reply.error.code, reply.error.message, reply.error.details);
+            return reply.result;
+        };
+
+        // Reject with the socket's EmitError (FORBIDDEN, ROOM_FULL, ...), NOT_FOUND or TIMEOUT
+        app.remoteJoin = async (socketId, room, { timeout } = {}) => {
+            await onSocket(socketId, 'join', { room }, timeout);
+        };
+
+        app.remoteLeave = async (socketId, room, { timeout } = {}) => {
+            await onSocket(socketId, 'leave', { room }, timeout);
+        };
+
+        app.remoteTag = async (socketId, tag, { timeout } = {}) => {
+            await onSocket(socketId, 'tag', { tag }, timeout);
+        };
+
+        app.remoteUntag = async (socketId, tag, { timeout } = {}) => {
+            await onSocket(socketId, 'untag', { tag }, timeout);
+        };
+
+        app.remoteDisconnect = async (socketId, { code, reason, timeout } = {}) => {
+            await onSocket(socketId, 'disconnect', { code, reason }, timeout);
+        };
+
+        // socket.request() on any server; the servers wait a second longer than the socket
+        app.requestSocket = (socketId, event, data, { timeout = 10000 } = {}) => {
+            return onSocket(socketId, 'request', { event, data, timeout }, timeout + 1000);
+        };
+
+        /**
+         * Describe sockets on every server: [{ id, server, rooms, tags, data, connected }]
+         * Takes { room } or the broadcast targeting ({ to, except }); every socket without.
+         */
+        app.fetchSockets = async ({ room, to, except, timeout } = {}) => {
+            if (room) to = room.startsWith('#') ? room : '#' + room;
+
+            const local = app._select({ to, except }).map(describe);
+            const replies = await callServers('fetchSockets', { to, except }, { timeout });
+            return local.concat(...replies.map(reply => reply.result));
+        };
+
         // ============ DIRECT MESSAGING ============
 
         const originalEmitTo = app.emitTo.bind(app);
@@ -118,19 +368,19 @@ module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } =
 
         if (redis) {
             // Override join to sync to Redis
-            const originalJoin = app.constructor.prototype._joinRoom;
+            const originalJoin = app._joinRoom.bind(app);
 
             app._joinRoom = (room, socket) => {
-                originalJoin.call(app, room, socket);
+                originalJoin(room, socket);
                 redis.sadd(`${prefix}:room:${room}`, socket.id);
                 redis.expire(`${prefix}:room:${room}`, 86400); // 24h TTL
             };
 
             // Override leave to sync to Redis
-            const originalLeave = app.constructor.prototype._leaveRoom;
+            const originalLeave = app._leaveRoom.bind(app);
 
             app._leaveRoom = (room, socket) => {
-                originalLeave.call(app, room, socket);
+                originalLeave(room, socket);
                 redis.srem(`${prefix}:room:${room}`, socket.id);
             };
 
@@ -150,20 +400,18 @@ module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } =
         // ============ PRESENCE TRACKING ============
 
         if (redis) {
-            // Track socket on connect
-            const originalHandleConnection = app._handleConnection.bind(app);
-
-            app._handleConnection = (ws, req) => {
-                originalHandleConnection(ws, req);
+            // Track socket once its handshake completes
+            const originalAccept = app._accept.bind(app);
 
-                // Get the socket that was just created
-                const socket = [...app.sockets].find(s => s.ws === ws);
+            app._accept = (...args) => {
+                const socket = originalAccept(...args);
                 if (socket) {
                     redis.hset(`${prefix}:sockets`, socket.id, JSON.stringify({
                         server: instanceId,
                         connectedAt: Date.now()
                     }));
                 }
+                return socket;
             };
 
             // Remove socket on disconnect (hook into socket close)
@@ -279,18 +527,23 @@ module.exports = ({ redis, pub, sub, prefix = 'emit.gg', channel = 'emit.gg' } =
 
         const originalClose = app.close.bind(app);
 
-        app.close = async () => {
+        // Graceful: stay subscribed while sockets drain, then deregister what is left
+        app.close = async (options) => {
+            const socketIds = [...app.sockets].map(socket => socket.id);
+
+            await originalClose(options);
+
             sub.unsubscribe(channel);
             sub.unsubscribe(`${channel}:direct`);
+            sub.unsubscribe(`${channel}:request`);
+            sub.unsubscribe(`${channel}:response`);
+            sub.unsubscribe(`${channel}:rpc`);
+            sub.unsubscribe(`${channel}:rpc:${instanceId}`);
 
             // Cleanup this server's sockets from Redis
-            if (redis) {
-                for (const socket of app.sockets) {
-                    await redis.hdel(`${prefix}:sockets`, socket.id);
-                }
+            if (redis && socketIds.length > 0) {
+                await redis.hdel(`${prefix}:sockets`, ...socketIds);
             }
-
-            return originalClose();
         };
     };
 };
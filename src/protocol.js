@@ -0,0 +1,51 @@
+/**
+ * emit.gg - Protocol
+ * Handshake constants shared by server and client
+ *
+ * Right after the WebSocket opens the client sends
+ *   { type: 'hello', version, codecs, compression, features, session, seq }
+ * and the server answers
+ *   { type: 'welcome', version, id, codec, compression, features, session, recovered }
+ * or closes the connection with one of the codes below.
+ *
+ * A server shutting down gracefully sends { type: 'goaway', reason, reconnectIn }
+ * and closes with GOING_AWAY once its in-flight work is done.
+ */
+
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1; // Oldest client version the server still speaks
+
+// Optional capabilities, the welcome frame lists the ones both sides support
+const FEATURES = ['resume', 'streaming', 'cancel', 'heartbeat'];
+
+// Close codes used by emit.gg (4000-4999 are reserved for applications)
+const CLOSE_CODES = {
+    GOING_AWAY: 1001,          // Server shutting down, reconnect (elsewhere)
+    HANDSHAKE_FAILED: 4400,    // First frame was not a valid hello
+    TOKEN_EXPIRED: 4401,       // Auth token ran out without a refresh
+    KICKED: 4403,              // Removed by the server, don't come back
+    HANDSHAKE_TIMEOUT: 4408,   // No hello or welcome in time
+    UNSUPPORTED_CODEC: 4415,   // None of the client's codecs was negotiated
+    SLOW_CONSUMER: 4413,       // Fell too far behind reading what the server sends
+    RATE_LIMITED: 4429,        // Too many rate limit violations
+    UNSUPPORTED_VERSION: 4426  // Protocol versions don't overlap
+};
+
+// Close code -> error code, for the side that receives the close
+const CLOSE_REASONS = Object.fromEntries(
+    Object.entries(CLOSE_CODES).map(([name, code]) => [code, name])
+);
+
+// Codes after which reconnecting won't help; anything else is retried
+const TERMINAL_CODES = [
+    1000, // Normal closure by the server
+    1008, // Policy violation
+    CLOSE_CODES.HANDSHAKE_FAILED,
+    CLOSE_CODES.TOKEN_EXPIRED,
+    CLOSE_CODES.KICKED,
+    CLOSE_CODES.UNSUPPORTED_CODEC,
+    CLOSE_CODES.RATE_LIMITED,
+    CLOSE_CODES.UNSUPPORTED_VERSION
+];
+
+module.exports = { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, FEATURES, CLOSE_CODES, CLOSE_REASONS, TERMINAL_CODES };
@@ -0,0 +1,182 @@
+/**
+ * emit.gg - Router
+ * Compiled event router with exact, parameterized and wildcard routes
+ *
+ * Events are split on '/' into segments and stored in a segment tree:
+ *   /rooms/:roomId/message  -> params.roomId
+ *   /admin/*                -> params['*'] (rest of the event)
+ *
+ * Exact routes are kept in a flat Map and always win over patterns.
+ * Nodes can also carry prefix-scoped middleware and mounted sub-apps.
+ */
+
+function createNode() {
+    return {
+        children: new Map(), // static segment -> node
+        param: null,         // { name, node }
+        wildcard: null,      // entry for '*'
+        entry: null,
+        middleware: [],      // runs for every event under this prefix
+        apps: []             // mounted sub-apps
+    };
+}
+
+function prefixSegments(prefix) {
+    if (prefix === '') return [];
+
+    const segments = prefix.split('/');
+    // '/chat/' and '/chat' are the same prefix
+    if (segments.length > 1 && segments[segments.length - 1] === '') {
+        segments.pop();
+    }
+    return segments;
+}
+
+function isPattern(event) {
+    return event.split('/').some(segment => segment === '*' || segment.startsWith(':'));
+}
+
+class Router {
+    constructor() {
+        this.routes = new Map(); // exact event -> entry
+        this.root = createNode();
+    }
+
+    add(event, entry) {
+        if (!isPattern(event)) {
+            this.routes.set(event, entry);
+            return this;
+        }
+
+        const segments = event.split('/');
+        const last = segments[segments.length - 1];
+
+        if (last === '*') {
+            this._node(segments.slice(0, -1), event).wildcard = entry;
+        } else {
+            this._node(segments, event).entry = entry;
+        }
+        return this;
+    }
+
+    use(prefix, fn) {
+        this._node(prefixSegments(prefix), prefix).middleware.push(fn);
+        return this;
+    }
+
+    mount(prefix, app) {
+        this._node(prefixSegments(prefix), prefix).apps.push(app);
+        return this;
+    }
+
+    /**
+     * Resolve an event to { entry, params, middleware, app }
+     * middleware is the prefix-scoped chain, outermost first.
+     * app is the mounted sub-app that owns the route, or null.
+     */
+    match(event) {
+        if (typeof event !== 'string') return null;
+
+        const segments = event.split('/');
+
+        const exact = this.routes.get(event);
+        if (exact) {
+            return { entry: exact, params: {}, middleware: this._collect(segments), app: null };
+        }
+
+        const params = {};
+        const found = this._find(this.root, segments, 0, params);
+        return found ? { ...found, params } : null;
+    }
+
+    // Find or create the node for a list of segments
+    _node(segments, source) {
+        let node = this.root;
+
+        for (const segment of segments) {
+            if (segment === '*') {
+                throw new Error(`Wildcard must be the last segment: ${source}`);
+            }
+
+            if (segment.startsWith(':')) {
+                const name = segment.slice(1);
+                if (!node.param) {
+                    node.param = { name, node: createNode() };
+                } else if (node.param.name !== name) {
+                    throw new Error(`Conflicting param name ':${name}' in ${source}, already registered as ':${node.param.name}'`);
+                }
+                node = node.param.node;
+            } else {
+                if (!node.children.has(segment)) {
+                    node.children.set(segment, createNode());
+                }
+                node = node.children.get(segment);
+            }
+        }
+
+        return node;
+    }
+
+    // Scoped middleware along the path of an exact route
+    _collect(segments) {
+        let node = this.root;
+        const middleware = [...node.middleware];
+
+        for (const segment of segments) {
+            node = node.children.get(segment) || (node.param && segment !== '' ? node.param.node : null);
+            if (!node) break;
+            middleware.push(...node.middleware);
+        }
+
+        return middleware;
+    }
+
+    // Depth-first walk: static segments, params, mounted apps, then wildcard
+    _find(node, segments, index, params) {
+        const scoped = (found) => ({
+            ...found,
+            middleware: [...node.middleware, ...found.middleware]
+        });
+
+        if (index === segments.length) {
+            return node.entry ? scoped({ entry: node.entry, middleware: [], app: null }) : null;
+        }
+
+        const segment = segments[index];
+
+        const child = node.children.get(segment);
+        if (child) {
+            const found = this._find(child, segments, index + 1, params);
+            if (found) return scoped(found);
+        }
+
+        if (node.param && segment !== '') {
+            const found = this._find(node.param.node, segments, index + 1, params);
+            if (found) {
+                params[node.param.name] = segment;
+                return scoped(found);
+            }
+        }
+
+        for (const app of node.apps) {
+            const sub = app.router.match('/' + segments.slice(index).join('/'));
+            if (sub) {
+                Object.assign(params, sub.params);
+                return scoped({
+                    entry: sub.entry,
+                    middleware: [...app.middleware, ...sub.middleware],
+                    app: sub.app || app
+                });
+            }
+        }
+
+        if (node.wildcard) {
+            params['*'] = segments.slice(index).join('/');
+            return scoped({ entry: node.wildcard, middleware: [], app: null });
+        }
+
+        return null;
+    }
+}
+
+module.exports = { Router, isPattern };
@@ -6,30 +6,286 @@
 
 const crypto = require('crypto');
 const { createTransport } = require('./transports');
+const { Router } = require('./router');
+const { validate, ValidationError } = require('./validate');
+const { EmitError } = require('./errors');
+const { MemoryHistoryStore } = require('./history');
+const { json, resolveCodecs, codecProtocol } = require('./codecs');
+const { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, FEATURES, CLOSE_CODES, CLOSE_REASONS } = require('./protocol');
+
+const EMPTY = new Set();
+
+const HISTORY = '/@room/history'; // Replayed to a socket joining a room with history
+
+// A selector or list of selectors as a list
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build a route entry from on(event, [options], ...middleware, handler)
+ */
+function createEntry(args) {
+    const handler = args.pop();
+    const first = args[0];
+    const options = first && typeof first === 'object' && !Array.isArray(first)
+        ? args.shift()
+        : {};
+    const middleware = args.flat();
+    return { handler, middleware, schema: options.schema || null };
+}
+
+/**
+ * Normalize the recovery option: true -> defaults, falsy -> disabled
+ */
+function recoveryOptions(recovery) {
+    if (!recovery) return null;
+    return {
+        window: 2 * 60 * 1000, // How long a disconnected session can be resumed (ms)
+        maxEvents: 100,        // Max outgoing events kept per session
+        identity: (user) => user && typeof user === 'object' ? (user.sub ?? user.id) : user, // Who owns a session
+        ...(recovery === true ? {} : recovery)
+    };
+}
+
+const BACKPRESSURE_POLICIES = ['drop', 'coalesce', 'disconnect'];
+
+function checkPolicy(policy) {
+    if (!BACKPRESSURE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown backpressure policy: ${policy}, expected ${BACKPRESSURE_POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+/**
+ * Normalize the backpressure option, see App#setBackpressure
+ */
+function backpressureOptions(backpressure = {}) {
+    const options = {
+        highWaterMark: 1024 * 1024, // Buffered bytes above which a socket isn't writable
+        policy: 'drop',             // What happens to events for sockets above it
+        maxHeld: 1000,              // Held events per socket before it counts as a slow consumer
+        ...backpressure
+    };
+    checkPolicy(options.policy);
+    return options;
+}
+
+/**
+ * Resolve once check() is true or timeout (ms) has passed
+ */
+function waitUntil(check, timeout) {
+    const deadline = Date.now() + timeout;
+    return new Promise((resolve) => {
+        const poll = () => {
+            if (check() || Date.now() >= deadline) return resolve();
+            setTimeout(poll, 25);
+        };
+        poll();
+    });
+}
 
 class App {
     constructor(options = {}) {
-        this.handlers = new Map();
-        this.rooms = new Map();
+        this.router = new Router();
+        this.handlers = this.router.routes; // exact routes and system events
+        this.rooms = new Map(); // '#name' -> Room
+        this.tags = new Map(); // tag -> Set of sockets, for cheap tag targeting
         this.sockets = new Set();
         this.socketMap = new Map(); // socketId -> socket for O(1) lookup
         this.middleware = [];
+        this.guards = []; // Middleware that runs before schema validation, e.g. rate limiting
         this.transport = options.transport || null;
+        this.authenticator = null; // async (info) => user, runs before the upgrade
+        this.joinPolicy = null;    // (socket, room) => boolean, checked by socket.join()
+        this.codecs = resolveCodecs(options.codecs || ['json', 'msgpack']);
+        this.compression = options.compression || false; // permessage-deflate
+        this.handshakeTimeout = options.handshakeTimeout || 10000;
+        this.recovery = recoveryOptions(options.recovery);
+        this.sessions = new Map(); // resume token -> socket
+        this.features = FEATURES.filter(feature => feature !== 'resume' || this.recovery);
+        this.backpressure = backpressureOptions(options.backpressure);
+        this.roomBackpressure = new Map(); // room -> policy for its broadcasts
+        this.coalesceWindow = options.coalesceWindow || 50; // How long coalesceKey events wait (ms)
+        this.historyStore = options.historyStore || new MemoryHistoryStore(); // For rooms with history()
+        this.closing = false; // Set by close(), new connections are turned away
+        this._closed = null;
+    }
+
+    // Wait for the client's hello before the connection becomes a Socket
+    _handleConnection(socketInstance, normalizedReq, user) {
+        // Shutting down: the client reconnects to another server
+        if (this.closing) {
+            return socketInstance.close(CLOSE_CODES.GOING_AWAY, 'Server going away');
+        }
+
+        let timer = null;
+
+        const reject = (code, reason) => {
+            clearTimeout(timer);
+            socketInstance.close(code, reason);
+
+            // Not @error: there is no socket yet for its handler to use
+            const error = new EmitError(CLOSE_REASONS[code], reason, { closeCode: code });
+            this._fire('@handshake:error', { error, code: error.code, closeCode: code, info: normalizedReq, app: this });
+        };
+
+        // No subprotocol means JSON
+        const protocol = socketInstance.protocol;
+        const codec = protocol
+            ? this.codecs.find(codec => codecProtocol(codec) === protocol)
+            : this.codecs.find(codec => codec === json);
+        if (!codec) {
+            const accepted = this.codecs.map(codec => codec.name).join(', ');
+            return reject(CLOSE_CODES.UNSUPPORTED_CODEC, `Unsupported codec ${protocol || 'json'}, server accepts ${accepted}`);
+        }
+
+        timer = setTimeout(() => {
+            reject(CLOSE_CODES.HANDSHAKE_TIMEOUT, 'Handshake timeout');
+        }, this.handshakeTimeout);
+        timer.unref?.();
+
+        socketInstance.onClose(() => clearTimeout(timer));
+
+        socketInstance.onMessage((raw) => {
+            let hello;
+            try {
+                hello = codec.decode(raw);
+            } catch (err) {
+                return reject(CLOSE_CODES.HANDSHAKE_FAILED, `Invalid hello: ${err.message}`);
+            }
+
+            if (!hello || hello.type !== 'hello') {
+                return reject(CLOSE_CODES.HANDSHAKE_FAILED, 'Expected hello');
+            }
+
+            // Speak the highest version both sides know
+            const version = Math.min(Number(hello.version) || 0, PROTOCOL_VERSION);
+            if (version < MIN_PROTOCOL_VERSION || version < (Number(hello.minVersion) || 0)) {
+                return reject(CLOSE_CODES.UNSUPPORTED_VERSION,
+                    `Unsupported protocol version ${hello.version}, server speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`);
+            }
+
+            if (Array.isArray(hello.codecs) && !hello.codecs.includes(codec.name)) {
+                return reject(CLOSE_CODES.UNSUPPORTED_CODEC, `Codec ${codec.name} not accepted by client`);
+            }
+
+            clearTimeout(timer);
+
+            // close() started while this connection was still in its handshake
+            if (this.closing) {
+                return socketInstance.close(CLOSE_CODES.GOING_AWAY, 'Server going away');
+            }
+            this._accept(socketInstance, normalizedReq, user, codec, hello, version);
+        });
     }
 
-    _handleConnection(socketInstance, normalizedReq) {
-        const socket = new Socket(socketInstance, this);
+    /**
+     * Complete the handshake: resume the session named in the hello or
+     * start a new Socket, then send the welcome frame. Returns the socket.
+     */
+    _accept(socketInstance, normalizedReq, user, codec, hello, version) {
+        const features = Array.isArray(hello.features)
+            ? this.features.filter(feature => hello.features.includes(feature))
+            : [];
+        const handshake = {
+            codec,
+            version,
+            features,
+            compression: socketInstance.compression || null
+        };
+
+        const token = this.recovery && features.includes('resume') && hello.session;
+        if (token) {
+            const socket = this.sessions.get(token);
+            if (socket && this._mayResume(socket, user)) {
+                socket.user = user ?? null;
+                socket._resume(socketInstance, normalizedReq, handshake, Number(hello.seq) || 0);
+                this._setupSocket(socket);
+
+                const entry = this.handlers.get('@reconnect');
+                if (entry) {
+                    entry.handler({ socket, app: this, req: normalizedReq, info: normalizedReq });
+                }
+                return socket;
+            }
+        }
+
+        const socket = new Socket(socketInstance, this, handshake);
 
         // Store connection info on socket (already normalized by transport)
         socket.info = normalizedReq;
+        socket.user = user ?? null;
+        this._setupSocket(socket);
 
         this.sockets.add(socket);
         this.socketMap.set(socket.id, socket);
 
+        if (socket.session) {
+            this.sessions.set(socket.session.token, socket);
+        }
+        socket._sendWelcome(token ? false : undefined);
+
         const entry = this.handlers.get('@connection');
         if (entry) {
             entry.handler({ socket, app: this, req: normalizedReq, info: normalizedReq });
         }
+        return socket;
+    }
+
+    // With an authenticator, only the user who owns a session may resume it
+    _mayResume(socket, user) {
+        if (!this.authenticator) return true;
+
+        const { identity } = this.recovery;
+        const owner = identity(socket.user);
+        return owner !== undefined && owner !== null && owner === identity(user ?? null);
+    }
+
+    /**
+     * Called for new and resumed sockets once socket.user is known,
+     * before @connection / @reconnect. Plugins wrap it to prepare sockets.
+     */
+    _setupSocket(socket) {
+        return socket;
+    }
+
+    /**
+     * Check connections before the WebSocket upgrade is accepted
+     * fn(info) resolves the user (set as socket.user) or throws to reject
+     * the upgrade with err.status (default 401). Register before listen().
+     */
+    authenticate(fn) {
+        this.authenticator = fn;
+        return this;
+    }
+
+    /**
+     * What to do with events for sockets that aren't writable:
+     *   'drop'       - drop volatile events, hold coalesceKey ones, send the rest (default)
+     *   'coalesce'   - hold events until @drain, keeping the newest per coalesceKey
+     *   'disconnect' - close the socket with CLOSE_CODES.SLOW_CONSUMER
+     * setBackpressure({ highWaterMark, policy }) sets the app default,
+     * setBackpressure('#room', { policy }) applies to broadcasts to that room.
+     */
+    setBackpressure(room, options) {
+        if (typeof room !== 'string') {
+            this.backpressure = backpressureOptions({ ...this.backpressure, ...room });
+            return this;
+        }
+
+        if (!room.startsWith('#')) room = '#' + room;
+        if (options && options.policy) {
+            this.roomBackpressure.set(room, checkPolicy(options.policy));
+        } else {
+            this.roomBackpressure.delete(room);
+        }
+        return this;
+    }
+
+    // Policy for an event sent to a single room, the app default otherwise
+    _backpressurePolicy(to) {
+        return (typeof to === 'string' && this.roomBackpressure.get(to)) || this.backpressure.policy;
     }
 
     plugin(plugins) {
@@ -47,9 +303,7 @@ class App {
     }
 
     on(event, ...args) {
-        const handler = args.pop();
-        const middleware = args.flat();
-        this.handlers.set(event, { handler, middleware });
+        this.router.add(event, createEntry(args));
         return this;
     }
 
@@ -57,25 +311,111 @@ class App {
         return new Namespace(this, prefix);
     }
 
+    mount(prefix, app) {
+        this.router.mount(prefix, app);
+        return this;
+    }
+
     broadcast(event, options = {}) {
-        const { data = {}, to } = options;
-
-        let targets;
-        if (to && to.startsWith('#')) {
-            // Room targeting
-            targets = this.rooms.get(to) || new Set();
-        } else if (to && to.startsWith('*')) {
-            // Tag targeting - filter sockets by tag
+        const { data = {}, to, volatile, coalesceKey } = options;
+
+        const policy = this._backpressurePolicy(to);
+        this._select(options).forEach(socket => socket._deliver(event, data, { volatile, coalesceKey }, policy));
+        this._record(event, options);
+        return this;
+    }
+
+    // Add a broadcast to the history of each room it names. Volatile ones are
+    // skipped, and so are those narrowed by except or filter: replay would leak them
+    _record(event, { data = {}, to, except, filter, volatile, history = true } = {}) {
+        if (volatile || !history || to === undefined || to === null) return;
+        if (filter || (except !== undefined && except !== null)) return;
+
+        toList(to).forEach(selector => {
+            const room = typeof selector === 'string' && this.rooms.get(selector);
+            if (room && room._history) room._record(event, data);
+        });
+    }
+
+    /**
+     * Request a reply from every targeted socket, see Socket#request
+     * Takes the broadcast targeting (to, except, filter) plus data, timeout
+     * (ms per socket, default 10000) and quorum: resolve once that many
+     * sockets replied and cancel the other requests.
+     * Resolves to { responses: [{ socketId, data }], failed: [{ socketId, error }], pending: [socketId] }
+     * With the Redis adapter, pending leaves out sockets of servers that hadn't answered yet.
+     */
+    broadcastRequest(event, options = {}) {
+        const collector = new ReplyCollector(options);
+        collector.expect(this._requestEach(event, options, collector.controller.signal, collector.report));
+        return collector.promise;
+    }
+
+    // Start the requests on this server's sockets, report(socketId, data, error) as each settles
+    _requestEach(event, options, signal, report) {
+        const { data = {}, timeout = 10000 } = options;
+        const sockets = this._select(options);
+
+        sockets.forEach(socket => {
+            const request = socket.connected
+                ? socket.request(event, data, { timeout, signal })
+                : Promise.reject(new EmitError('DISCONNECTED', 'Socket disconnected'));
+            request.then(res => report(socket.id, res, null), err => report(socket.id, undefined, err));
+        });
+        return sockets.map(socket => socket.id);
+    }
+
+    /**
+     * Resolve broadcast targeting to a list of sockets
+     *   to:     '#room', '*tag' or a socket ID, or an array of them (union).
+     *           A nested array is an intersection: [['#lobby', '*admin']]
+     *   except: the same kinds of selectors, left out
+     *   filter: (socket) => boolean
+     * Without `to` every socket is targeted.
+     */
+    _select({ to, except, filter } = {}) {
+        let targets = this.sockets;
+        if (to !== undefined && to !== null) {
             targets = new Set();
-            this.sockets.forEach(socket => {
-                if (socket.hasTag(to)) targets.add(socket);
+            toList(to).forEach(selector => {
+                this._match(selector).forEach(socket => targets.add(socket));
             });
-        } else {
-            targets = this.sockets;
         }
 
-        targets.forEach(socket => socket.emit(event, data));
-        return this;
+        let excluded = null;
+        if (except !== undefined && except !== null) {
+            excluded = new Set();
+            toList(except).forEach(selector => {
+                this._match(selector).forEach(socket => excluded.add(socket));
+            });
+        }
+
+        const result = [];
+        targets.forEach(socket => {
+            if (excluded && excluded.has(socket)) return;
+            if (filter && !filter(socket)) return;
+            result.push(socket);
+        });
+        return result;
+    }
+
+    // Sockets matching one selector; an array matches sockets in all of its parts
+    _match(selector) {
+        if (Array.isArray(selector)) {
+            if (selector.length === 0) return EMPTY;
+
+            // Walk the smallest set, look up the others
+            const [smallest, ...others] = selector
+                .map(part => this._match(part))
+                .sort((a, b) => a.size - b.size);
+            return new Set([...smallest].filter(socket => others.every(set => set.has(socket))));
+        }
+
+        if (selector.startsWith('#')) return this.rooms.has(selector) ? this.rooms.get(selector).members : EMPTY;
+        if (selector.startsWith('*')) return this.tags.get(selector) || EMPTY;
+
+        const socket = this.socketMap.get(selector);
+        return socket ? new Set([socket]) : EMPTY;
     }
 
     emitTo(socketId, event, data) {
@@ -90,25 +430,109 @@ class App {
         return this.socketMap.get(socketId) || null;
     }
 
-    _joinRoom(room, socket) {
-        if (!this.rooms.has(room)) {
-            this.rooms.set(room, new Set());
+    /**
+     * Get a room, creating it when it doesn't exist yet
+     * options ({ data, maxMembers, persistent }) apply to a new room. Rooms
+     * created here are persistent: they outlive their last member until
+     * room.destroy(). Rooms created by a join go away once empty.
+     */
+    room(name, options = {}) {
+        if (!name.startsWith('#')) name = '#' + name;
+        return this.rooms.get(name) || this._createRoom(new Room(this, name, { persistent: true, ...options }));
+    }
+
+    /**
+     * Decide who may join which room
+     * fn(socket, room) returns false or throws to turn the socket away;
+     * socket.join() then throws an EmitError (FORBIDDEN unless fn threw its own).
+     */
+    canJoin(fn) {
+        this.joinPolicy = fn;
+        return this;
+    }
+
+    // Fire a system event such as @room:join when it has a handler
+    _fire(event, payload) {
+        const entry = this.handlers.get(event);
+        if (entry) {
+            entry.handler(payload);
+        }
+    }
+
+    _createRoom(room) {
+        this.rooms.set(room.name, room);
+        this._fire('@room:create', { room, app: this });
+        return room;
+    }
+
+    // Throws when the room is full or the join policy says no
+    _admit(room, socket) {
+        if (room.members.size >= room.maxMembers) {
+            throw new EmitError('ROOM_FULL', `Room ${room.name} is full`, { maxMembers: room.maxMembers });
+        }
+
+        if (this.joinPolicy) {
+            const allowed = this.joinPolicy(socket, room);
+            if (allowed && typeof allowed.then === 'function') {
+                throw new Error('canJoin must decide synchronously, it returned a Promise');
+            }
+            if (allowed === false) {
+                throw new EmitError('FORBIDDEN', `Not allowed to join ${room.name}`);
+            }
+        }
+    }
+
+    _joinRoom(name, socket) {
+        const existing = this.rooms.get(name);
+        const room = existing || new Room(this, name);
+        this._admit(room, socket);
+
+        // Admitted: socket.rooms has it by the time @room:join runs, like @room:leave
+        socket.rooms.add(name);
+        if (!existing) this._createRoom(room);
+        room.members.add(socket);
+        this._fire('@room:join', { room, socket, app: this });
+    }
+
+    _leaveRoom(name, socket) {
+        const room = this.rooms.get(name);
+        if (!room || !room.members.delete(socket)) return;
+
+        this._fire('@room:leave', { room, socket, app: this });
+        if (room.members.size === 0 && !room.persistent) {
+            this._destroyRoom(room);
+        }
+    }
+
+    _destroyRoom(room) {
+        if (this.rooms.get(room.name) !== room) return;
+        this.rooms.delete(room.name);
+        this._fire('@room:destroy', { room, app: this });
+    }
+
+    _leaveAllRooms(socket) {
+        socket.rooms.forEach(room => this._leaveRoom(room, socket));
+    }
+
+    _addTag(tag, socket) {
+        if (!this.tags.has(tag)) {
+            this.tags.set(tag, new Set());
         }
-        this.rooms.get(room).add(socket);
+        this.tags.get(tag).add(socket);
     }
 
-    _leaveRoom(room, socket) {
-        const sockets = this.rooms.get(room);
+    _removeTag(tag, socket) {
+        const sockets = this.tags.get(tag);
         if (sockets) {
             sockets.delete(socket);
             if (sockets.size === 0) {
-                this.rooms.delete(room);
+                this.tags.delete(tag);
             }
         }
     }
 
-    _leaveAllRooms(socket) {
-        socket.rooms.forEach(room => this._leaveRoom(room, socket));
+    _removeAllTags(socket) {
+        socket.tags.forEach(tag => this._removeTag(tag, socket));
     }
 
     listen(port, options = {}, callback) {
@@ -123,8 +547,8 @@ class App {
             this.transport = createTransport();
         }
 
-        this.transport.listen(port, options, (socket, req) => {
-            this._handleConnection(socket, req);
+        this.transport.listen(port, this._transportOptions(options), (socket, req, user) => {
+            this._handleConnection(socket, req, user);
         });
 
         callback?.();
@@ -137,18 +561,66 @@ class App {
             this.transport = createTransport();
         }
 
-        this.transport.attach(server, options, (socket, req) => {
-            this._handleConnection(socket, req);
+        this.transport.attach(server, this._transportOptions(options), (socket, req, user) => {
+            this._handleConnection(socket, req, user);
         });
 
         return this;
     }
 
-    close() {
-        if (this.transport) {
-            return this.transport.close();
+    // Subprotocols the transport may accept, one per codec, and the auth hook
+    _transportOptions(options) {
+        return {
+            perMessageDeflate: this.compression,
+            ...options,
+            protocols: this.codecs.map(codecProtocol),
+            authenticate: this.authenticator
+        };
+    }
+
+    /**
+     * Disconnect every socket, see Socket#disconnect
+     */
+    disconnectAll(options) {
+        [...this.sockets].forEach(socket => socket.disconnect(options));
+        return this;
+    }
+
+    /**
+     * Shut down gracefully: stop accepting connections, send every client a
+     * goaway with a jittered reconnect hint, wait up to drainTimeout for
+     * in-flight handlers and requests, then disconnect with GOING_AWAY.
+     */
+    close(options = {}) {
+        if (!this._closed) {
+            this._closed = this._shutdown(options);
         }
-        return Promise.resolve();
+        return this._closed;
+    }
+
+    async _shutdown({ drainTimeout = 10000, reconnectJitter = 5000, reason = 'Server going away' }) {
+        this.closing = true;
+
+        // Stop listening first; the transport resolves once its connections are gone
+        const transportClosed = this.transport ? this.transport.close() : Promise.resolve();
+
+        // Spread the reconnects out so the remaining servers aren't stampeded
+        this.sockets.forEach(socket => {
+            if (socket.connected) {
+                socket._send({ type: 'goaway', reason, reconnectIn: Math.floor(Math.random() * reconnectJitter) });
+            }
+        });
+
+        // Wait for handlers still working on requests or emits, and requests waiting for acks
+        await waitUntil(() => ![...this.sockets].some(socket =>
+            socket.connected && (socket.inflight.size > 0 || socket.busy > 0 || socket.pendingRequests.size > 0)), drainTimeout);
+
+        // @disconnect fires for each socket as its close handshake completes
+        this.disconnectAll({ code: CLOSE_CODES.GOING_AWAY, reason });
+        await waitUntil(() => this.sockets.size === 0, 1000);
+        [...this.sockets].forEach(socket => socket.terminate());
+
+        await transportClosed;
     }
 }
 
@@ -159,9 +631,17 @@ class Namespace {
     }
 
     on(event, ...args) {
-        const handler = args.pop();
-        const middleware = args.flat();
-        this.app.handlers.set(this.prefix + event, { handler, middleware });
+        this.app.router.add(this.prefix + event, createEntry(args));
+        return this;
+    }
+
+    use(fn) {
+        this.app.router.use(this.prefix, fn);
+        return this;
+    }
+
+    mount(prefix, app) {
+        this.app.router.mount(this.prefix + prefix, app);
         return this;
     }
 
@@ -170,21 +650,171 @@ class Namespace {
     }
 }
 
+/**
+ * A room: its members and metadata, see App#room
+ */
+class Room {
+    constructor(app, name, options = {}) {
+        this.app = app;
+        this.name = name;
+        this.members = new Set();
+        this.data = options.data || {}; // Topic, owner, ...
+        this.maxMembers = options.maxMembers || Infinity;
+        this.persistent = options.persistent || false; // Kept when the last member leaves
+        this.createdAt = Date.now();
+        this._history = null; // { limit, ttl, store } once history() is on
+    }
+
+    get size() {
+        return this.members.size;
+    }
+
+    has(socket) {
+        return this.members.has(socket);
+    }
+
+    // Broadcast to the members, takes the same options as App#broadcast
+    emit(event, data, options = {}) {
+        this.app.broadcast(event, { ...options, data, to: this.name });
+        return this;
+    }
+
+    /**
+     * Record broadcasts to this room and replay them to joining sockets
+     *   limit: entries kept (default 50)
+     *   ttl:   ms an entry is kept, none by default
+     *   store: overrides app.historyStore for this room
+     * history(false) stops recording.
+     */
+    history(options = {}) {
+        if (options === false) {
+            this._history = null;
+            return this;
+        }
+        this._history = { limit: 50, ttl: null, store: null, ...options };
+        return this;
+    }
+
+    _store() {
+        return this._history.store || this.app.historyStore;
+    }
+
+    // Stores may be sync or async; failures are logged, never thrown at the broadcaster
+    _call(method, ...args) {
+        try {
+            return this._store()[method](this.name, ...args);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+
+    _record(event, data) {
+        const { limit, ttl } = this._history;
+        const result = this._call('append', { event, data, at: Date.now() }, { limit, ttl });
+        if (result && typeof result.then === 'function') {
+            result.catch(err => console.error('History store failed:', err.message));
+        }
+    }
+
+    _range({ since, limit } = {}) {
+        const { ttl } = this._history;
+        limit = Math.min(limit || this._history.limit, this._history.limit);
+        return this._call('range', { since, limit, ttl });
+    }
+
+    // Entries after `since` (an entry id or a timestamp), oldest first: [{ id, event, data, at }]
+    fetchHistory(options) {
+        return Promise.resolve(this._history ? this._range(options) : []);
+    }
+
+    clearHistory() {
+        return Promise.resolve(this._history ? this._store().clear(this.name) : undefined);
+    }
+
+    // Send the history to a socket that just joined, unless it left meanwhile
+    // A sync store replays before anything broadcast after the join
+    _replay(socket, options) {
+        const send = (events) => {
+            if (events.length && socket.rooms.has(this.name)) {
+                socket.emit(HISTORY, { room: this.name, events });
+            }
+        };
+
+        const result = this._range(options);
+        if (result && typeof result.then === 'function') {
+            result.then(send, err => console.error('History store failed:', err.message));
+        } else {
+            send(result);
+        }
+    }
+
+    // Make every member leave and remove the room
+    destroy() {
+        [...this.members].forEach(socket => socket.leave(this.name));
+        this.app._destroyRoom(this);
+    }
+}
+
 class Socket {
-    constructor(socketInstance, app) {
+    constructor(socketInstance, app, handshake = {}) {
         this.socket = socketInstance; // The transport's socket instance
         this.app = app;
         this.id = crypto.randomUUID();
         this.pendingRequests = new Map();
+        this.inflight = new Map(); // ackId -> AbortController for client requests being handled
+        this.busy = 0; // Async handlers still running, emits included; close() waits for them
+        this.streams = new Map(); // ackId -> open ReplyStream
         this.rooms = new Set();
         this.tags = new Set();
         this.data = {};
-        this.info = null; // Set by _handleConnection
+        this.info = null; // Set by _accept
+        this.user = null; // Resolved by app.authenticate()
+        this.connected = true;
+        this.closeReason = null; // { code, reason, initiatedBy } of the last close
+        this._closing = null;    // 'disconnect' or 'terminate' while we close it
+
+        // Backpressure: set while more than highWaterMark bytes are buffered
+        this._backedUp = false;
+        this._outbox = new Map(); // coalesceKey -> event waiting for the flush window or a drain
+        this._held = 0;           // Keys for held events without a coalesceKey
+        this._flushTimer = null;
+
+        // Negotiated in the hello/welcome handshake
+        this.version = handshake.version || PROTOCOL_VERSION;
+        this.features = new Set(handshake.features || []);
+        this.compression = handshake.compression || null;
+
+        // Liveness, driven by the heartbeat plugin
+        this.alive = true;
+        this.latency = null; // Last measured round-trip time (ms)
+        this._pingSentAt = null;
+
+        // Resumable session: outgoing events are numbered and kept for replay
+        this.session = app.recovery && this.features.has('resume')
+            ? { token: crypto.randomBytes(24).toString('hex'), seq: 0, buffer: [], timer: null }
+            : null;
+
+        this._attach(socketInstance, handshake.codec || json);
+    }
+
+    // Wire a transport socket to this Socket via the adapter
+    _attach(socketInstance, codec) {
+        this.socket = socketInstance;
+        this.codec = codec;
+
+        if (typeof socketInstance.onPong === 'function') {
+            socketInstance.onPong(() => this._handlePong());
+        }
+
+        this._backedUp = false;
+        if (typeof socketInstance.onDrain === 'function') {
+            socketInstance.onDrain(() => this._handleDrain());
+        }
 
         // Set up message handler via the adapter
         this.socket.onMessage((raw) => {
             try {
-                const message = JSON.parse(raw);
+                const message = this.codec.decode(raw);
                 this._handleMessage(message);
             } catch (err) {
                 const errorEntry = this.app.handlers.get('@error');
@@ -197,27 +827,191 @@ class Socket {
         });
 
         // Set up close handler via the adapter
-        this.socket.onClose(() => {
-            this.app._leaveAllRooms(this);
-            this.app.sockets.delete(this);
-            this.app.socketMap.delete(this.id);
-
-            const entry = this.app.handlers.get('@disconnect');
-            if (entry) {
-                entry.handler({ socket: this, app: this.app });
+        this.socket.onClose((code, reason) => {
+            // Ignore a late close from a transport socket that was already replaced
+            if (this.socket !== socketInstance) return;
+
+            const closing = this._closing;
+            this._closing = null;
+            this.connected = false;
+
+            if (closing === 'disconnect') {
+                // Keep the code and reason passed to disconnect()
+            } else if (closing) {
+                this.closeReason = { code, reason, initiatedBy: 'server' };
+            } else {
+                // 1006: dropped without a close frame
+                this.closeReason = { code, reason, initiatedBy: code === 1006 ? 'network' : 'client' };
+            }
+
+            // Replies can't be delivered anymore, let handlers stop early
+            this.inflight.forEach(controller => controller.abort());
+            this.inflight.clear();
+
+            // Held events go to the session buffer, if there is one
+            this._backedUp = false;
+            this._flushOutbox();
+
+            // A deliberate close by either side ends the session too
+            const final = closing === 'disconnect' ||
+                (this.closeReason.initiatedBy === 'client' && code === 1000);
+
+            if (this.session && !final) {
+                // Keep rooms, tags and data until the resume window runs out
+                this.session.timer = setTimeout(() => this._destroy(), this.app.recovery.window);
+                this.session.timer.unref?.();
+            } else {
+                this._destroy();
             }
         });
     }
 
-    join(room) {
+    _destroy() {
+        this.app._leaveAllRooms(this);
+        this.app._removeAllTags(this);
+        this.app.sockets.delete(this);
+        this.app.socketMap.delete(this.id);
+        if (this.session) {
+            clearTimeout(this.session.timer);
+            this.app.sessions.delete(this.session.token);
+        }
+
+        // Nobody is left to answer requests still waiting for an ack
+        this.pendingRequests.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(new EmitError('DISCONNECTED', 'Socket disconnected'));
+        });
+        this.pendingRequests.clear();
+
+        const entry = this.app.handlers.get('@disconnect');
+        if (entry) {
+            entry.handler({ socket: this, app: this.app, ...this.closeReason });
+        }
+    }
+
+    /**
+     * Close the connection with a WebSocket close code and reason.
+     * Ends a resumable session too. Clients stop reconnecting on
+     * terminal codes such as CLOSE_CODES.KICKED.
+     */
+    disconnect({ code = 1000, reason = '' } = {}) {
+        this.closeReason = { code, reason, initiatedBy: 'server' };
+
+        if (this.connected) {
+            this._closing = 'disconnect';
+            this.socket.close(code, reason);
+        } else if (this.app.sockets.has(this)) {
+            // Waiting for a resume that won't come
+            this._destroy();
+        }
+        return this;
+    }
+
+    // Take over a new transport socket and replay what the client missed
+    _resume(socketInstance, info, handshake, lastSeq) {
+        const previous = this.connected ? this.socket : null;
+
+        clearTimeout(this.session.timer);
+        this.session.timer = null;
+        this.info = info;
+        this.connected = true;
+        this.alive = true;
+        this.version = handshake.version;
+        this.features = new Set(handshake.features);
+        this.compression = handshake.compression;
+        this._attach(socketInstance, handshake.codec);
+
+        // The client noticed the drop before we did; retire the old transport socket
+        if (previous) previous.close();
+
+        // Replayed events go first, the client fires @reconnect on the welcome
+        this._trimSession();
+        this.session.buffer
+            .filter(entry => entry.seq > lastSeq)
+            .forEach(entry => this._send(entry.message));
+
+        this._sendWelcome(true);
+    }
+
+    _sendWelcome(recovered) {
+        this._send({
+            type: 'welcome',
+            version: this.version,
+            id: this.id,
+            codec: this.codec.name,
+            compression: this.compression,
+            features: [...this.features],
+            session: this.session ? this.session.token : undefined,
+            recovered
+        });
+    }
+
+    // Drop buffered events past maxEvents or older than the resume window
+    _trimSession() {
+        const { window, maxEvents } = this.app.recovery;
+        const buffer = this.session.buffer;
+        const cutoff = Date.now() - window;
+
+        while (buffer.length > maxEvents || (buffer.length && buffer[0].at < cutoff)) {
+            buffer.shift();
+        }
+    }
+
+    /**
+     * Check the connection: a protocol ping when the adapter supports it,
+     * otherwise a ping frame. `alive` turns true and `latency` updates on the pong.
+     */
+    ping() {
+        this._pingSentAt = Date.now();
+        if (typeof this.socket.ping === 'function') {
+            this.socket.ping();
+        } else {
+            this._send({ type: 'ping', t: this._pingSentAt });
+        }
+        return this;
+    }
+
+    _handlePong() {
+        this.alive = true;
+        if (this._pingSentAt) {
+            this.latency = Date.now() - this._pingSentAt;
+            this._pingSentAt = null;
+        }
+    }
+
+    // Drop the connection without a close handshake
+    terminate() {
+        this._closing = this._closing || 'terminate';
+        if (typeof this.socket.terminate === 'function') {
+            this.socket.terminate();
+        } else {
+            this.socket.close();
+        }
+        return this;
+    }
+
+    /**
+     * Join a room. Throws an EmitError when the room is full (ROOM_FULL)
+     * or the app's canJoin policy turns the socket away.
+     * Rooms with history replay it: options { since, limit, history: false }
+     */
+    join(room, options = {}) {
         if (!room.startsWith('#')) room = '#' + room;
-        this.rooms.add(room);
+        if (this.rooms.has(room)) return this;
+
         this.app._joinRoom(room, this);
+
+        const joined = this.app.rooms.get(room);
+        if (joined && joined._history && options.history !== false) {
+            joined._replay(this, options);
+        }
         return this;
     }
 
     leave(room) {
         if (!room.startsWith('#')) room = '#' + room;
+        if (!this.rooms.has(room)) return this;
+
         this.rooms.delete(room);
         this.app._leaveRoom(room, this);
         return this;
@@ -226,12 +1020,14 @@ class Socket {
     tag(name) {
         if (!name.startsWith('*')) name = '*' + name;
         this.tags.add(name);
+        this.app._addTag(name, this);
         return this;
     }
 
     untag(name) {
         if (!name.startsWith('*')) name = '*' + name;
         this.tags.delete(name);
+        this.app._removeTag(name, this);
         return this;
     }
 
@@ -240,13 +1036,14 @@ class Socket {
         return this.tags.has(name);
     }
 
-    _runMiddleware(middleware, req, done) {
+    // call wraps each middleware invocation, so a throwing or rejecting one reaches @error
+    _runMiddleware(middleware, req, done, call = (fn) => fn()) {
         let index = 0;
 
         const next = () => {
             if (index < middleware.length) {
                 const fn = middleware[index++];
-                fn(req, next);
+                call(() => fn(req, next));
             } else {
                 done();
             }
@@ -256,11 +1053,41 @@ class Socket {
     }
 
     _handleMessage(message) {
+        // Application-level heartbeat, used by clients and adapters without protocol pings
+        if (message.type === 'ping') {
+            this._send({ type: 'pong', t: message.t });
+            return;
+        }
+
+        if (message.type === 'pong') {
+            this._handlePong();
+            return;
+        }
+
+        if (message.type === 'cancel') {
+            const controller = this.inflight.get(message.ackId);
+            if (controller) {
+                this.inflight.delete(message.ackId);
+                controller.abort();
+            }
+            return;
+        }
+
+        if (message.type === 'credit') {
+            const stream = this.streams.get(message.ackId);
+            if (stream) stream._grant(message.credit);
+            return;
+        }
+
         if (message.type === 'ack') {
             const pending = this.pendingRequests.get(message.ackId);
             if (pending) {
                 if (pending.timer) clearTimeout(pending.timer);
-                pending.resolve(message.data);
+                if (message.error) {
+                    pending.reject(EmitError.from(message.error));
+                } else {
+                    pending.resolve(message.data);
+                }
                 this.pendingRequests.delete(message.ackId);
             }
             return;
@@ -270,20 +1097,28 @@ class Socket {
 
         const socket = this;
         const app = this.app;
+        const match = app.router.match(event);
+
+        // Aborted when the client cancels the request or disconnects
+        const controller = new AbortController();
+        if (ackId) this.inflight.set(ackId, controller);
 
         // Track if reply was called
         let replyCalled = false;
+        let stream = null;
 
         const req = {
             event,
             data: data || {},
+            params: match ? match.params : {},
+            signal: controller.signal,
             socket: this,
             app: this.app,
             id: this.id,
 
             // Shortcut to emit to this socket
-            emit: (event, data) => {
-                socket.emit(event, data);
+            emit: (event, data, options) => {
+                socket.emit(event, data, options);
             },
 
             // Shortcut to set/get socket data
@@ -295,8 +1130,8 @@ class Socket {
             },
 
             // Shortcut for room management
-            join: (room) => {
-                socket.join(room);
+            join: (room, options) => {
+                socket.join(room, options);
             },
             leave: (room) => {
                 socket.leave(room);
@@ -314,50 +1149,89 @@ class Socket {
             },
 
             reply: ackId
-                ? (res) => this.socket.send(JSON.stringify({ type: 'ack', ackId, data: res }))
+                ? (res) => this._send({ type: 'ack', ackId, data: res })
                 : () => { },
 
-            broadcast(event, options = {}) {
-                const { data = {}, to, includeSelf = false } = options;
-
-                let targets;
-                if (to && to.startsWith('#')) {
-                    // Room targeting
-                    targets = app.rooms.get(to) || new Set();
-                } else if (to && to.startsWith('*')) {
-                    // Tag targeting
-                    targets = new Set();
-                    app.sockets.forEach(s => {
-                        if (s.hasTag(to)) targets.add(s);
-                    });
-                } else {
-                    targets = app.sockets;
+            // Reply with ordered chunks; the client consumes them with stream()
+            stream: () => {
+                if (!ackId) {
+                    throw new Error(`req.stream() needs a request, got an emit: ${event}`);
+                }
+                if (!stream) {
+                    replyCalled = true;
+                    stream = new ReplyStream(socket, ackId, message.stream, controller);
                 }
+                return stream;
+            },
+
+            // Reply with an ack error frame; the client's request() rejects with EmitError
+            fail: ackId
+                ? (code, message, details) => this._send({
+                    type: 'ack', ackId, error: { code, message: message || code, details }
+                })
+                : () => { },
+
+            // Leave a request unanswered on purpose; the client's request() times out
+            drop: () => { },
 
-                targets.forEach(s => {
+            broadcast(event, options = {}) {
+                const { data = {}, to, includeSelf = false, volatile, coalesceKey } = options;
+
+                const policy = app._backpressurePolicy(to);
+                app._select(options).forEach(s => {
                     if (includeSelf || s !== socket) {
-                        s.emit(event, data);
+                        s._deliver(event, data, { volatile, coalesceKey }, policy);
                     }
                 });
+                app._record(event, options);
             }
         };
 
-        // Wrap reply to track if it was called
+        // Wrap reply and fail to track if either was called
         if (ackId) {
             const originalReply = req.reply;
             req.reply = (data) => {
                 replyCalled = true;
-                originalReply(data);
+                this.inflight.delete(ackId);
+                if (!controller.signal.aborted) originalReply(data);
+            };
+
+            const originalFail = req.fail;
+            req.fail = (code, message, details) => {
+                replyCalled = true;
+                this.inflight.delete(ackId);
+                if (!controller.signal.aborted) originalFail(code, message, details);
+            };
+
+            req.drop = () => {
+                replyCalled = true;
+                this.inflight.delete(ackId);
             };
         }
 
         const handleError = (err) => {
-            const errorEntry = this.app.handlers.get('@error');
+            // Mounted sub-apps handle their own errors when they have an @error handler
+            const owner = match && match.app;
+            const errorEntry = (owner && owner.handlers.get('@error')) || this.app.handlers.get('@error');
             if (errorEntry) {
                 errorEntry.handler(err, req);
             } else {
                 console.error('Unhandled error:', err);
             }
+
+            // The client is still waiting: answer with an error frame unless @error replied.
+            // Other errors may carry internals, their message stays on the server.
+            if (ackId && (!replyCalled || stream)) {
+                const failure = err instanceof EmitError
+                    ? [err.code, err.message, err.details]
+                    : ['INTERNAL_ERROR', 'Internal error'];
+
+                if (stream) {
+                    stream.error(...failure);
+                } else {
+                    req.fail(...failure);
+                }
+            }
         };
 
         const safeCall = (fn) => {
@@ -371,55 +1245,403 @@ class Socket {
             }
         };
 
-        // Run global middleware first, then route middleware, then handler
-        this._runMiddleware(this.app.middleware, req, () => {
-            safeCall(() => {
-                const anyEntry = this.app.handlers.get('@any');
-                if (anyEntry) {
-                    const result = anyEntry.handler(req);
-                    if (result && typeof result.catch === 'function') {
-                        result.catch(handleError);
+        // Validate the payload before the app middleware runs, only guards come earlier
+        const checkSchema = () => {
+            const schema = match && match.entry.schema;
+            if (!schema) return true;
+
+            const fields = validate(schema, req.data);
+            if (fields.length === 0) return true;
+
+            const err = new ValidationError(fields, event);
+            if (ackId) {
+                req.fail(err.code, err.message, err.details);
+            } else {
+                handleError(err);
+            }
+            return false;
+        };
+
+        // Guards first, so floods of invalid payloads are counted too, then
+        // validation, global middleware, scoped and route middleware, handler
+        this._runMiddleware(this.app.guards, req, () => {
+            if (!checkSchema()) return;
+
+            this._runMiddleware(this.app.middleware, req, () => {
+                safeCall(() => {
+                    const anyEntry = this.app.handlers.get('@any');
+                    if (anyEntry) {
+                        const result = anyEntry.handler(req);
+                        if (result && typeof result.catch === 'function') {
+                            result.catch(handleError);
+                        }
                     }
-                }
 
-                const entry = this.app.handlers.get(event);
-                if (entry) {
-                    // Run route-specific middleware, then handler
-                    this._runMiddleware(entry.middleware || [], req, () => {
-                        safeCall(() => entry.handler(req));
-                    });
-                } else {
-                    // No handler found
-                    if (ackId) {
-                        // Client expects a reply, send error
-                        req.reply({ error: `No handler for: ${event}` });
-                    } else if (!anyEntry) {
-                        console.log('No handler for:', event);
+                    const entry = match && match.entry;
+                    if (entry) {
+                        // Run namespace and sub-app middleware, then route middleware, then handler
+                        const middleware = [...match.middleware, ...(entry.middleware || [])];
+                        this._runMiddleware(middleware, req, () => {
+                            safeCall(() => this._track(entry.handler(req)));
+                        }, safeCall);
+                    } else {
+                        // No handler found
+                        if (ackId) {
+                            // Client expects a reply, send error
+                            req.fail('NO_HANDLER', `No handler for: ${event}`);
+                        } else if (!anyEntry) {
+                            console.log('No handler for:', event);
+                        }
                     }
-                }
-            });
-        });
+                });
+            }, safeCall);
+        }, safeCall);
+    }
+
+    // Count a handler's promise as busy until it settles
+    _track(result) {
+        if (result && typeof result.then === 'function') {
+            this.busy++;
+            const done = () => { this.busy--; };
+            result.then(done, done);
+        }
+        return result;
+    }
+
+    // Encode with the codec negotiated for this connection
+    _send(message) {
+        this.socket.send(this.codec.encode(message));
+
+        if (!this._backedUp && this.bufferedAmount > this.app.backpressure.highWaterMark) {
+            this._backedUp = true;
+        }
+    }
+
+    // Bytes waiting to be written to the network, 0 when the adapter can't tell
+    get bufferedAmount() {
+        return (this.connected && this.socket.bufferedAmount) || 0;
+    }
+
+    // False while disconnected or more than highWaterMark bytes are buffered
+    get writable() {
+        return this.connected && !this._backedUp;
+    }
+
+    _handleDrain() {
+        if (!this._backedUp || this._closing || this.bufferedAmount > this.app.backpressure.highWaterMark) return;
+        this._backedUp = false;
+        this._flushOutbox();
+
+        const entry = this.app.handlers.get('@drain');
+        if (entry && this.writable) {
+            entry.handler({ socket: this, app: this.app });
+        }
+    }
+
+    // Send held events in order; whatever doesn't fit is held again
+    _flushOutbox() {
+        clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+
+        const held = [...this._outbox.values()];
+        this._outbox.clear();
+        held.forEach(({ event, data, options, policy }) => this._deliver(event, data, options, policy, true));
+    }
+
+    // A full outbox means the client isn't catching up: disconnect rather than grow without bound
+    _hold(event, data, options, policy) {
+        const key = options.coalesceKey !== undefined ? 'key:' + options.coalesceKey : this._held++;
+        if (!this._outbox.has(key) && this._outbox.size >= this.app.backpressure.maxHeld) {
+            this._slowConsumer();
+            return;
+        }
+        this._outbox.delete(key); // The newest goes to the back
+        this._outbox.set(key, { event, data, options, policy });
+    }
+
+    _slowConsumer() {
+        if (this._closing !== 'disconnect') {
+            this.disconnect({ code: CLOSE_CODES.SLOW_CONSUMER, reason: 'Slow consumer' });
+        }
     }
 
-    emit(event, data) {
-        this.socket.send(JSON.stringify({ event, data }));
+    /**
+     * Send an event to this socket
+     * options.volatile: drop it when the socket isn't writable, never replay it
+     * options.coalesceKey: wait for the flush window, only the newest event per key is sent
+     */
+    emit(event, data, options = {}) {
+        return this._deliver(event, data, options, this.app._backpressurePolicy());
+    }
+
+    // socket.volatile.emit(event, data): emit that is dropped rather than queued
+    get volatile() {
+        return {
+            emit: (event, data, options = {}) => this.emit(event, data, { ...options, volatile: true })
+        };
+    }
+
+    // Coalesce, apply the backpressure policy, then send or buffer for a resume
+    _deliver(event, data, options, policy, flushing = false) {
+        if (options.coalesceKey !== undefined && this.writable && !flushing) {
+            this._hold(event, data, options, policy);
+            if (!this._flushTimer) {
+                this._flushTimer = setTimeout(() => this._flushOutbox(), this.app.coalesceWindow);
+                this._flushTimer.unref?.();
+            }
+            return this;
+        }
+
+        if (options.volatile) {
+            if (this.writable) this._send({ event, data });
+            return this;
+        }
+
+        if (this.connected && !this.writable) {
+            if (policy === 'disconnect') {
+                this._slowConsumer();
+                return this;
+            }
+            // Keyed events are replaceable, so they wait for @drain under every other policy
+            if (policy === 'coalesce' || options.coalesceKey !== undefined) {
+                this._hold(event, data, options, policy);
+                return this;
+            }
+        }
+
+        if (!this.session) {
+            this._send({ event, data });
+            return this;
+        }
+
+        const seq = ++this.session.seq;
+        const message = { event, data, seq };
+        this.session.buffer.push({ seq, message, at: Date.now() });
+        this._trimSession();
+
+        // While disconnected, events wait in the buffer for a resume
+        if (this.connected) {
+            this._send(message);
+        }
         return this;
     }
 
     request(event, data, options = {}) {
         return new Promise((resolve, reject) => {
+            const { signal } = options;
+            if (signal && signal.aborted) {
+                return reject(new EmitError('ABORTED', `Request aborted: ${event}`));
+            }
+
             const timeout = options.timeout || 10000;
             const ackId = crypto.randomUUID();
 
-            const timer = setTimeout(() => {
+            // Stop waiting locally and tell the client to stop working on it
+            const cancel = (err) => {
+                const pending = this.pendingRequests.get(ackId);
+                if (!pending) return;
+
+                clearTimeout(pending.timer);
                 this.pendingRequests.delete(ackId);
-                reject(new Error(`Request timeout: ${event}`));
+                if (this.connected) {
+                    this._send({ type: 'cancel', ackId });
+                }
+                pending.reject(err);
+            };
+
+            const onAbort = () => cancel(new EmitError('ABORTED', `Request aborted: ${event}`));
+            const cleanup = () => signal && signal.removeEventListener('abort', onAbort);
+
+            const timer = setTimeout(() => {
+                cancel(new EmitError('TIMEOUT', `Request timeout: ${event}`));
             }, timeout);
 
-            this.pendingRequests.set(ackId, { resolve, timer });
-            this.socket.send(JSON.stringify({ event, data, ackId }));
+            this.pendingRequests.set(ackId, {
+                resolve: (value) => { cleanup(); resolve(value); },
+                reject: (err) => { cleanup(); reject(err); },
+                timer
+            });
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            this._send({ event, data, ackId });
+        });
+    }
+}
+
+/**
+ * Gathers the replies for App#broadcastRequest, from this server and others
+ * Settles once every server listed its targets and each target answered,
+ * early once `quorum` responses are in, or when the timeout runs out.
+ */
+class ReplyCollector {
+    constructor({ quorum, timeout = 10000 } = {}, servers = 1) {
+        this.quorum = quorum || Infinity;
+        this.responses = [];
+        this.failed = [];
+        this.waiting = new Set(); // Socket IDs without an answer yet
+        this.servers = servers;   // Servers expected to list their targets, null until known
+        this.listed = 0;
+        this.done = false;
+        this.controller = new AbortController(); // Cancels the local requests once settled
+        this.report = this.report.bind(this);
+        this.promise = new Promise(resolve => { this._resolve = resolve; });
+
+        // A server that never answers must not hold the result forever
+        this.timer = setTimeout(() => this._finish(true), timeout + 1000);
+        this.timer.unref?.();
+    }
+
+    // A server's targets
+    expect(socketIds) {
+        socketIds.forEach(id => this.waiting.add(id));
+        this.listed++;
+        this._check();
+    }
+
+    setServers(count) {
+        this.servers = count;
+        this._check();
+    }
+
+    report(socketId, data, error) {
+        if (this.done || !this.waiting.delete(socketId)) return;
+
+        if (error) {
+            this.failed.push({ socketId, error });
+        } else {
+            this.responses.push({ socketId, data });
+        }
+        this._check();
+    }
+
+    _check() {
+        if (this.responses.length >= this.quorum) return this._finish(false);
+        if (this.servers !== null && this.listed >= this.servers && this.waiting.size === 0) {
+            this._finish(false);
+        }
+    }
+
+    // Still waiting: on timeout they failed, after a quorum they're pending
+    _finish(timedOut) {
+        if (this.done) return;
+        this.done = true;
+        clearTimeout(this.timer);
+
+        let pending = [...this.waiting];
+        if (timedOut) {
+            pending.forEach(socketId => this.failed.push({
+                socketId, error: new EmitError('TIMEOUT', 'No reply from its server')
+            }));
+            pending = [];
+        }
+
+        this.controller.abort();
+        this._resolve({ responses: this.responses, failed: this.failed, pending });
+    }
+}
+
+/**
+ * Writer returned by req.stream()
+ * Sends ordered chunks, holding writes back while the client has no credit left.
+ * Requests made with request() instead of stream() get all chunks as one reply.
+ */
+class ReplyStream {
+    constructor(socket, ackId, credit, controller) {
+        this.socket = socket;
+        this.ackId = ackId;
+        this.signal = controller.signal;
+        this.collect = credit ? null : [];
+        this.credit = credit || Infinity;
+        this.index = 0;
+        this.queue = []; // writes waiting for credit
+        this.ending = false;
+        this.closed = false;
+        this._ended = null;
+
+        socket.streams.set(ackId, this);
+        this.signal.addEventListener('abort', () => this._close());
+    }
+
+    // True once the client stopped consuming or disconnected
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    // Resolves true once sent, or false if the stream closed first
+    write(data) {
+        if (this.closed || this.ending) return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            this.queue.push({ data, resolve });
+            this._flush();
         });
     }
+
+    // Resolves once queued chunks and the end frame are sent
+    end(data) {
+        if (this.closed || this.ending) return Promise.resolve();
+
+        if (data !== undefined) this.queue.push({ data, resolve: () => { } });
+        this.ending = true;
+
+        return new Promise(resolve => {
+            this._ended = resolve;
+            this._flush();
+        });
+    }
+
+    error(code, message, details) {
+        if (this.closed) return;
+
+        const error = { code, message: message || code, details };
+        this._send({ type: this.collect ? 'ack' : 'end', ackId: this.ackId, error });
+        this._close();
+    }
+
+    _grant(credit) {
+        this.credit += credit;
+        this._flush();
+    }
+
+    _flush() {
+        while (this.queue.length > 0 && this.credit > 0 && !this.closed) {
+            const { data, resolve } = this.queue.shift();
+            this.credit--;
+
+            if (this.collect) {
+                this.collect.push(data);
+            } else {
+                this._send({ type: 'chunk', ackId: this.ackId, index: this.index++, data });
+            }
+            resolve(true);
+        }
+
+        if (this.ending && this.queue.length === 0 && !this.closed) {
+            if (this.collect) {
+                this._send({ type: 'ack', ackId: this.ackId, data: this.collect });
+            } else {
+                this._send({ type: 'end', ackId: this.ackId });
+            }
+            this._close();
+        }
+    }
+
+    _send(frame) {
+        if (this.socket.connected) {
+            this.socket._send(frame);
+        }
+    }
+
+    _close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        this.queue.forEach(({ resolve }) => resolve(false));
+        this.queue = [];
+        this.socket.streams.delete(this.ackId);
+        this.socket.inflight.delete(this.ackId);
+        if (this._ended) this._ended();
+    }
 }
 
-module.exports = { App, Socket, Namespace };
+module.exports = { App, Socket, Namespace, Room, ReplyStream, ReplyCollector, EmitError };
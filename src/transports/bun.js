@@ -11,14 +11,49 @@ class BunSocket {
         this._ws = ws;
         this._messageCallback = null;
         this._closeCallback = null;
+        this._pongCallback = null;
+        this._drainCallback = null;
+        this._buffered = 0; // Bytes Bun queued behind backpressure, when it can't tell us
     }
 
+    // Negotiated subprotocol, '' when none
+    get protocol() {
+        return this._ws.data.protocol || '';
+    }
+
+    // Negotiated compression extension, null when none
+    get compression() {
+        return this._ws.data.compression || null;
+    }
+
+    // Bytes queued for sending but not yet written to the network
+    get bufferedAmount() {
+        if (typeof this._ws.getBufferedAmount === 'function') {
+            return this._ws.getBufferedAmount();
+        }
+        return this._buffered;
+    }
+
+    // Strings go out as text frames, Uint8Arrays as binary frames
     send(data) {
-        this._ws.send(data);
+        // -1: queued behind backpressure until Bun calls drain()
+        if (this._ws.send(data) === -1) {
+            this._buffered += typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength;
+        }
     }
 
-    close() {
-        this._ws.close();
+    close(code, reason) {
+        this._ws.close(code, reason);
+    }
+
+    // Protocol-level ping, answered by the client's WebSocket stack
+    ping() {
+        this._ws.ping();
+    }
+
+    // Drop the connection without a close handshake
+    terminate() {
+        this._ws.terminate();
     }
 
     onMessage(callback) {
@@ -29,27 +64,51 @@ class BunSocket {
         this._closeCallback = callback;
     }
 
+    onPong(callback) {
+        this._pongCallback = callback;
+    }
+
+    // Called once the send buffer has been flushed
+    onDrain(callback) {
+        this._drainCallback = callback;
+    }
+
     // Called by BunTransport when message received
     _handleMessage(data) {
         if (this._messageCallback) {
-            // Normalize to string
-            const str = typeof data === 'string' ? data : data.toString();
-            this._messageCallback(str);
+            // Text frames arrive as strings, binary frames as Buffers
+            this._messageCallback(data);
+        }
+    }
+
+    // Called by BunTransport when a pong arrives
+    _handlePong() {
+        if (this._pongCallback) {
+            this._pongCallback();
+        }
+    }
+
+    // Called by BunTransport when Bun can take more data
+    _handleDrain() {
+        this._buffered = 0;
+        if (this._drainCallback) {
+            this._drainCallback();
         }
     }
 
     // Called by BunTransport when connection closes
-    _handleClose() {
+    _handleClose(code, reason) {
         if (this._closeCallback) {
-            this._closeCallback();
+            this._closeCallback(code, reason || '');
         }
     }
 }
 
 /**
  * Normalizes the request object from Bun's request
+ * address comes from server.requestIP(), Bun's request doesn't carry it
  */
-function normalizeRequest(req) {
+function normalizeRequest(req, address = null) {
     const urlObj = new URL(req.url);
     const query = {};
     urlObj.searchParams.forEach((value, key) => {
@@ -61,12 +120,23 @@ function normalizeRequest(req) {
         query,
         path: urlObj.pathname || '/',
         url: urlObj.pathname + urlObj.search,
-        ip: req.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || null,
+        ip: req.headers.get('x-forwarded-for')?.split(',')[0]?.trim() || address,
+        address, // Not client-supplied, unlike ip
         origin: req.headers.get('origin') || null,
         secure: urlObj.protocol === 'https:'
     };
 }
 
+/**
+ * Picks the first subprotocol offered by the client that the server supports.
+ * Without a match it takes the first offered one, so the connection opens
+ * and the handshake can close it with a proper code.
+ */
+function selectProtocol(header, supported = []) {
+    const offered = (header || '').split(',').map(p => p.trim()).filter(Boolean);
+    return offered.find(protocol => supported.includes(protocol)) || offered[0] || null;
+}
+
 /**
  * Bun WebSocket transport using Bun's native API
  */
@@ -83,10 +153,30 @@ class BunTransport {
 
         this.server = Bun.serve({
             port,
-            fetch(req, server) {
+            async fetch(req, server) {
+                // Reject before upgrading, with the status the hook chose
+                const address = server.requestIP(req)?.address || null;
+                let user;
+                if (options.authenticate) {
+                    try {
+                        user = await options.authenticate(normalizeRequest(req, address));
+                    } catch (err) {
+                        return new Response((err && err.message) || 'Unauthorized', {
+                            status: (err && err.status) || 401
+                        });
+                    }
+                }
+
+                const protocol = selectProtocol(req.headers.get('sec-websocket-protocol'), options.protocols);
+                const compression = options.perMessageDeflate &&
+                    (req.headers.get('sec-websocket-extensions') || '').includes('permessage-deflate')
+                    ? 'permessage-deflate'
+                    : null;
+
                 // Store request data for the websocket open handler
                 const upgraded = server.upgrade(req, {
-                    data: { req }
+                    data: { req, address, protocol, compression, user },
+                    headers: protocol ? { 'Sec-WebSocket-Protocol': protocol } : undefined
                 });
                 if (upgraded) return undefined;
 
@@ -95,13 +185,14 @@ class BunTransport {
             },
             websocket: {
                 maxPayloadLength: options.maxPayload || 1024 * 1024,
+                perMessageDeflate: Boolean(options.perMessageDeflate),
 
                 open(ws) {
                     const socket = new BunSocket(ws);
                     self._socketMap.set(ws, socket);
 
-                    const normalizedReq = normalizeRequest(ws.data.req);
-                    self._onConnection(socket, normalizedReq);
+                    const normalizedReq = normalizeRequest(ws.data.req, ws.data.address);
+                    self._onConnection(socket, normalizedReq, ws.data.user);
                 },
 
                 message(ws, message) {
@@ -111,10 +202,24 @@ class BunTransport {
                     }
                 },
 
-                close(ws) {
+                pong(ws) {
+                    const socket = self._socketMap.get(ws);
+                    if (socket) {
+                        socket._handlePong();
+                    }
+                },
+
+                drain(ws) {
+                    const socket = self._socketMap.get(ws);
+                    if (socket) {
+                        socket._handleDrain();
+                    }
+                },
+
+                close(ws, code, reason) {
                     const socket = self._socketMap.get(ws);
                     if (socket) {
-                        socket._handleClose();
+                        socket._handleClose(code, reason);
                         self._socketMap.delete(ws);
                     }
                 }
@@ -141,4 +246,4 @@ class BunTransport {
     }
 }
 
-module.exports = { BunTransport, BunSocket, normalizeRequest };
+module.exports = { BunTransport, BunSocket, normalizeRequest, selectProtocol };
@@ -14,28 +14,71 @@ class NodeSocket {
         this._ws = ws;
         this._messageCallback = null;
         this._closeCallback = null;
+        this._pongCallback = null;
+        this._drainCallback = null;
 
-        ws.on('message', (raw) => {
+        ws.on('message', (raw, isBinary) => {
             if (this._messageCallback) {
-                // Normalize to string
-                const data = raw.toString();
+                // Text frames as strings, binary frames as Buffers
+                const data = isBinary ? raw : raw.toString();
                 this._messageCallback(data);
             }
         });
 
-        ws.on('close', () => {
+        ws.on('close', (code, reason) => {
             if (this._closeCallback) {
-                this._closeCallback();
+                this._closeCallback(code, reason.toString());
             }
         });
+
+        ws.on('pong', () => {
+            if (this._pongCallback) {
+                this._pongCallback();
+            }
+        });
+
+        // ws has no drain event of its own, its TCP socket does
+        if (ws._socket) {
+            ws._socket.on('drain', () => {
+                if (this._drainCallback) {
+                    this._drainCallback();
+                }
+            });
+        }
+    }
+
+    // Negotiated subprotocol, '' when none
+    get protocol() {
+        return this._ws.protocol;
+    }
+
+    // Negotiated compression extension, null when none
+    get compression() {
+        return this._ws.extensions.includes('permessage-deflate') ? 'permessage-deflate' : null;
+    }
+
+    // Bytes queued for sending but not yet written to the network
+    get bufferedAmount() {
+        return this._ws.bufferedAmount;
     }
 
+    // Strings go out as text frames, Uint8Arrays as binary frames
     send(data) {
         this._ws.send(data);
     }
 
-    close() {
-        this._ws.close();
+    close(code, reason) {
+        this._ws.close(code, reason);
+    }
+
+    // Protocol-level ping, answered by the client's WebSocket stack
+    ping() {
+        this._ws.ping();
+    }
+
+    // Drop the connection without a close handshake
+    terminate() {
+        this._ws.terminate();
     }
 
     onMessage(callback) {
@@ -45,6 +88,15 @@ class NodeSocket {
     onClose(callback) {
         this._closeCallback = callback;
     }
+
+    onPong(callback) {
+        this._pongCallback = callback;
+    }
+
+    // Called once the send buffer has been flushed
+    onDrain(callback) {
+        this._drainCallback = callback;
+    }
 }
 
 /**
@@ -60,52 +112,110 @@ function normalizeRequest(req) {
         ip: req.headers['x-forwarded-for']?.split(',')[0]?.trim()
             || req.socket?.remoteAddress
             || null,
+        address: req.socket?.remoteAddress || null, // Not client-supplied, unlike ip
         origin: req.headers.origin || null,
         secure: req.socket?.encrypted || false
     };
 }
 
+/**
+ * Picks the first subprotocol offered by the client that the server supports.
+ * Without a match it takes the first offered one, so the connection opens
+ * and the handshake can close it with a proper code.
+ */
+function selectProtocol(offered, supported = []) {
+    for (const protocol of offered) {
+        if (supported.includes(protocol)) return protocol;
+    }
+    const [first] = offered;
+    return first || false;
+}
+
+/**
+ * Builds a ws verifyClient that runs the user's verifyClient, then
+ * options.authenticate(info) before the upgrade is accepted.
+ * The resolved user is kept per request in `users`.
+ */
+function createVerifyClient(options, users) {
+    const { verifyClient, authenticate } = options;
+    if (!authenticate) return verifyClient;
+
+    const check = (info) => new Promise((resolve) => {
+        if (!verifyClient) return resolve([true]);
+        if (verifyClient.length >= 2) {
+            verifyClient(info, (...result) => resolve(result));
+        } else {
+            resolve([verifyClient(info)]);
+        }
+    });
+
+    return (info, done) => {
+        check(info).then(([verified, code, message, headers]) => {
+            if (!verified) return done(false, code, message, headers);
+
+            return Promise.resolve()
+                .then(() => authenticate(normalizeRequest(info.req)))
+                .then((user) => {
+                    users.set(info.req, user);
+                    done(true);
+                }, (err) => {
+                    done(false, (err && err.status) || 401, (err && err.message) || 'Unauthorized');
+                });
+        });
+    };
+}
+
 /**
  * Node.js WebSocket transport using 'ws' library
  */
 class NodeTransport {
     constructor() {
         this.wss = null;
+        this._users = new WeakMap(); // Upgrade request -> authenticated user
     }
 
     listen(port, options, onConnection) {
         const wssOptions = {
             port,
-            maxPayload: options.maxPayload || 1024 * 1024
+            maxPayload: options.maxPayload || 1024 * 1024,
+            handleProtocols: (offered) => selectProtocol(offered, options.protocols)
         };
 
+        const verifyClient = createVerifyClient(options, this._users);
+        if (verifyClient) wssOptions.verifyClient = verifyClient;
+        if (options.perMessageDeflate !== undefined) {
+            wssOptions.perMessageDeflate = options.perMessageDeflate;
+        }
+
         this.wss = new WebSocketServer(wssOptions);
-        this.wss.on('connection', (ws, req) => {
-            const socket = new NodeSocket(ws);
-            const normalizedReq = normalizeRequest(req);
-            onConnection(socket, normalizedReq);
-        });
+        this.wss.on('connection', (ws, req) => this._handleConnection(ws, req, onConnection));
     }
 
     attach(server, options, onConnection) {
         const wssOptions = {
             server,
-            maxPayload: options.maxPayload || 1024 * 1024
+            maxPayload: options.maxPayload || 1024 * 1024,
+            handleProtocols: (offered) => selectProtocol(offered, options.protocols)
         };
 
         // Pass through additional ws options
+        const verifyClient = createVerifyClient(options, this._users);
         if (options.path) wssOptions.path = options.path;
-        if (options.verifyClient) wssOptions.verifyClient = options.verifyClient;
+        if (verifyClient) wssOptions.verifyClient = verifyClient;
         if (options.perMessageDeflate !== undefined) {
             wssOptions.perMessageDeflate = options.perMessageDeflate;
         }
 
         this.wss = new WebSocketServer(wssOptions);
-        this.wss.on('connection', (ws, req) => {
-            const socket = new NodeSocket(ws);
-            const normalizedReq = normalizeRequest(req);
-            onConnection(socket, normalizedReq);
-        });
+        this.wss.on('connection', (ws, req) => this._handleConnection(ws, req, onConnection));
+    }
+
+    _handleConnection(ws, req, onConnection) {
+        const socket = new NodeSocket(ws);
+        const normalizedReq = normalizeRequest(req);
+        const user = this._users.get(req);
+        this._users.delete(req);
+        onConnection(socket, normalizedReq, user);
     }
 
     close() {
@@ -119,4 +229,4 @@ class NodeTransport {
     }
 }
 
-module.exports = { NodeTransport, NodeSocket, normalizeRequest };
+module.exports = { NodeTransport, NodeSocket, normalizeRequest, selectProtocol };
@@ -0,0 +1,137 @@
+/**
+ * emit.gg - Validation
+ * Minimal JSON-Schema-compatible payload validation, no dependencies
+ *
+ * Supported keywords:
+ *   type, enum, const, required, properties, additionalProperties,
+ *   items, minItems, maxItems, minLength, maxLength, pattern,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ */
+
+const { EmitError } = require('./errors');
+
+class ValidationError extends EmitError {
+    constructor(fields, event) {
+        super('VALIDATION_FAILED', event ? `Validation failed: ${event}` : 'Validation failed', { fields });
+        this.name = 'ValidationError';
+        this.fields = fields; // [{ field, message }]
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeOf(value) === type;
+    }
+}
+
+// Own keys only, so inherited members like constructor or toString don't count
+function has(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function join(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function check(schema, value, path, errors) {
+    const field = path || '(root)';
+    const fail = (message) => errors.push({ field, message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            fail(`must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => check(schema.items, item, join(path, i), errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!has(value, key) || value[key] === undefined) {
+                errors.push({ field: join(path, key), message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) return;
+
+            if (has(properties, key)) {
+                check(properties[key], value[key], join(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: join(path, key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, value[key], join(path, key), errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * Returns an array of { field, message }, empty when valid
+ */
+function validate(schema, value) {
+    const errors = [];
+    check(schema, value, '', errors);
+    return errors;
+}
+
+module.exports = { validate, ValidationError };